@@ -1,4 +1,9 @@
-// Background service worker for video detection
+// Background service worker for video detection, session snapshots, restores, sync,
+// the duplicate tab guard, automatic tab grouping, the page content index,
+// keyboard commands, the omnibox keyword and idle tab discarding
+importScripts('session-schema.js', 'sessions.js', 'tab-formats.js', 'session-sync.js', 'url-normalizer.js',
+  'group-rules.js', 'content-index.js', 'tab-query.js', 'idle-discard.js');
+
 let detectedVideos = {};
 let videoDownloaderEnabled = true;
 
@@ -144,6 +149,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       const videos = detectedVideos[tabId] || [];
       console.log(`Sending ${videos.length} videos for tab ${tabId}`);
       sendResponse({ videos: videos });
+    } else if (request.action === 'restoreSession') {
+      runSessionRestore(request.sessionData, request.options)
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+    } else if (request.action === 'cancelRestore') {
+      if (activeRestore) activeRestore.controller.abort();
+      sendResponse({ success: true });
+    } else if (request.action === 'getRestoreProgress') {
+      sendResponse({ progress: activeRestore ? activeRestore.progress : null });
+    } else if (request.action === 'pauseDuplicateGuard') {
+      duplicateGuardPausedUntil = Date.now() + (request.duration || DUPLICATE_GUARD_PAUSE_MS);
+      sendResponse({ success: true });
+    } else if (request.action === 'syncSessions') {
+      queueSessionSync().then(state => sendResponse({ state }));
     } else if (request.action === 'clearDetectedVideos') {
       if (!videoDownloaderEnabled) {
         sendResponse({ success: true, disabled: true });
@@ -177,3 +196,622 @@ setInterval(() => {
     }
   }
 }, 5 * 60 * 1000);
+
+// ==================== SESSION SNAPSHOTS ====================
+
+const SNAPSHOT_ALARM = 'sessionSnapshot';
+const SNAPSHOT_KEY = 'sessionSnapshots';
+const SNAPSHOT_INTERVAL_MINUTES = 5;
+const SNAPSHOT_LIMIT = 10;
+
+// Take a rolling snapshot of every window, keeping the last SNAPSHOT_LIMIT
+async function takeSessionSnapshot() {
+  const now = new Date();
+  const sessionData = await captureAllWindowsSession(`Snapshot_${now.toISOString().replace('T', '_').slice(0, 16)}`);
+  if (sessionData.tabCount === 0) return;
+  
+  const data = await chrome.storage.local.get(SNAPSHOT_KEY);
+  const snapshots = data[SNAPSHOT_KEY] || [];
+  
+  // Skip if no tab, group or window changed since the last snapshot
+  const signature = (snapshot) => JSON.stringify(snapshot.tabs.map(tab => [tab.url, tab.group, tab.color, tab.pinned, tab.window]));
+  if (snapshots[0] && signature(snapshots[0]) === signature(sessionData)) return;
+  
+  snapshots.unshift(sessionData);
+  await chrome.storage.local.set({ [SNAPSHOT_KEY]: snapshots.slice(0, SNAPSHOT_LIMIT) });
+  console.log(`Session snapshot saved (${sessionData.tabCount} tabs)`);
+}
+
+// Make sure the snapshot alarm exists without resetting its schedule
+chrome.alarms.get(SNAPSHOT_ALARM, (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM) {
+    takeSessionSnapshot().catch(error => console.error('Error taking session snapshot:', error));
+  }
+});
+
+// ==================== SESSION RESTORE ====================
+
+// Restores run here so they keep going when the popup closes
+let activeRestore = null;
+
+async function runSessionRestore(sessionData, options = {}) {
+  if (activeRestore) {
+    throw new Error('Another restore is already running');
+  }
+  
+  const controller = new AbortController();
+  activeRestore = { controller, progress: { done: 0, total: sessionData.tabs?.length || 0 } };
+  
+  try {
+    return await restoreSession(sessionData, {
+      ...options,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        activeRestore.progress = progress;
+        chrome.runtime.sendMessage({ action: 'restoreProgress', progress }).catch(() => {});
+      }
+    });
+  } finally {
+    activeRestore = null;
+    chrome.runtime.sendMessage({ action: 'restoreProgress', progress: null }).catch(() => {});
+  }
+}
+
+// ==================== SESSION SYNC ====================
+
+// Sync runs are queued so two never overlap
+let sessionSyncQueue = Promise.resolve();
+
+function queueSessionSync() {
+  sessionSyncQueue = sessionSyncQueue.then(runSessionSync);
+  return sessionSyncQueue;
+}
+
+// Run one sync and record the outcome for the popup. Never rejects.
+async function runSessionSync() {
+  try {
+    if (!await isSessionSyncEnabled()) return null;
+    
+    const data = await chrome.storage.local.get(SYNC_STATE_KEY);
+    let state;
+    try {
+      const result = await syncSessionLibrary();
+      console.log('Session sync:', result);
+      state = { lastSync: Date.now(), error: result.errors[0] || null, skipped: result.skipped };
+    } catch (error) {
+      console.error('Session sync failed:', error);
+      state = { ...data[SYNC_STATE_KEY], error: error.message };
+    }
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+    return state;
+  } catch (error) {
+    console.error('Error running session sync:', error);
+    return null;
+  }
+}
+
+// Push local library changes and pull changes synced from other machines
+chrome.storage.onChanged.addListener((changes, area) => {
+  const localChange = area === 'local' &&
+    (changes[SESSION_LIBRARY_KEY] || changes[SESSION_TOMBSTONES_KEY] || changes[SYNC_ENABLED_KEY]);
+  const remoteChange = area === 'sync' &&
+    Object.keys(changes).some(key => key === SYNC_INDEX_KEY || key.startsWith(SYNC_CHUNK_PREFIX));
+  if (localChange || remoteChange) {
+    queueSessionSync();
+  }
+});
+
+// ==================== TAB GROUP REGISTRY ====================
+
+// Updates are chained so concurrent group events do not overwrite each other
+let tabGroupRegistryQueue = Promise.resolve();
+
+function rememberTabGroups(groups) {
+  tabGroupRegistryQueue = tabGroupRegistryQueue.then(async () => {
+    const data = await chrome.storage.session.get(TAB_GROUP_REGISTRY_KEY);
+    const registry = data[TAB_GROUP_REGISTRY_KEY] || {};
+    groups.forEach(group => {
+      registry[group.id] = { title: group.title || '', color: group.color };
+    });
+    await chrome.storage.session.set({ [TAB_GROUP_REGISTRY_KEY]: registry });
+  }).catch(error => console.error('Error updating tab group registry:', error));
+}
+
+chrome.tabGroups.onCreated.addListener(group => rememberTabGroups([group]));
+chrome.tabGroups.onUpdated.addListener(group => rememberTabGroups([group]));
+
+// Groups that existed before the service worker started
+chrome.tabGroups.query({}).then(rememberTabGroups);
+
+// URL and group of each grouped tab by tab ID, kept in session storage so a
+// closed tab's group is still known after the service worker was stopped
+const TAB_GROUP_MEMBERSHIP_KEY = 'tabGroupMembership';
+
+function rememberTabMembership(tabs) {
+  tabGroupRegistryQueue = tabGroupRegistryQueue.then(async () => {
+    const data = await chrome.storage.session.get(TAB_GROUP_MEMBERSHIP_KEY);
+    const membership = data[TAB_GROUP_MEMBERSHIP_KEY] || {};
+    let changed = false;
+    tabs.forEach(tab => {
+      if (tab.groupId !== -1) {
+        membership[tab.id] = { url: tab.url || tab.pendingUrl, groupId: tab.groupId };
+        changed = true;
+      } else if (membership[tab.id]) {
+        delete membership[tab.id];
+        changed = true;
+      }
+    });
+    if (changed) await chrome.storage.session.set({ [TAB_GROUP_MEMBERSHIP_KEY]: membership });
+  }).catch(error => console.error('Error updating tab group membership:', error));
+}
+
+chrome.tabs.onCreated.addListener(tab => rememberTabMembership([tab]));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.groupId !== undefined) rememberTabMembership([tab]);
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  tabGroupRegistryQueue = tabGroupRegistryQueue.then(async () => {
+    const data = await chrome.storage.session.get([TAB_GROUP_MEMBERSHIP_KEY, CLOSED_TAB_GROUPS_KEY]);
+    const membership = data[TAB_GROUP_MEMBERSHIP_KEY] || {};
+    const closedTab = membership[tabId];
+    if (!closedTab) return;
+    delete membership[tabId];
+    
+    const update = { [TAB_GROUP_MEMBERSHIP_KEY]: membership };
+    // Closed windows come back with their groups intact
+    if (!removeInfo.isWindowClosing) {
+      const closed = [{ ...closedTab, closedAt: Date.now() }, ...(data[CLOSED_TAB_GROUPS_KEY] || [])];
+      update[CLOSED_TAB_GROUPS_KEY] = closed.slice(0, CLOSED_TAB_GROUPS_LIMIT);
+    }
+    await chrome.storage.session.set(update);
+  }).catch(error => console.error('Error recording closed tab group:', error));
+});
+
+// Tabs that were open before the service worker first started
+chrome.tabs.query({}).then(rememberTabMembership);
+
+// ==================== DUPLICATE GUARD ====================
+
+// Tabs that have not navigated to a web page yet. Only these are closed as
+// duplicates, so a tab with its own history is never lost. Kept in session
+// storage because the service worker stops while a new tab page sits idle.
+const NEW_TAB_IDS_KEY = 'duplicateGuardNewTabs';
+
+// Updates are chained so concurrent tab events do not overwrite each other
+let newTabIdsQueue = Promise.resolve();
+
+// Apply `update` to the stored tab IDs; resolves to its return value
+function updateNewTabIds(update) {
+  const result = newTabIdsQueue.then(async () => {
+    const data = await chrome.storage.session.get(NEW_TAB_IDS_KEY);
+    const tabIds = new Set(data[NEW_TAB_IDS_KEY] || []);
+    const size = tabIds.size;
+    const value = update(tabIds);
+    if (tabIds.size !== size) await chrome.storage.session.set({ [NEW_TAB_IDS_KEY]: [...tabIds] });
+    return value;
+  });
+  newTabIdsQueue = result.catch(error => console.error('Error updating new tabs:', error));
+  return result;
+}
+
+// The popup pauses the guard while it reopens tabs on purpose (undo, recently closed)
+const DUPLICATE_GUARD_PAUSE_MS = 10000;
+let duplicateGuardPausedUntil = 0;
+
+const DUPLICATE_NOTIFICATION_PREFIX = 'duplicate:';
+
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(url || '');
+}
+
+async function focusTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// Check a freshly opened tab against the open tabs and act on a duplicate
+async function guardAgainstDuplicate(tab, url) {
+  if (activeRestore || Date.now() < duplicateGuardPausedUntil) return;
+  
+  const settings = await getDuplicateGuardSettings();
+  if (!settings.enabled || isAllowlistedUrl(url, settings.allowlist)) return;
+  
+  const rules = await getUrlNormalizeRules();
+  const key = normalizeUrl(url, rules);
+  const openTabs = await chrome.tabs.query({});
+  const existing = openTabs.find(other =>
+    other.id !== tab.id &&
+    other.incognito === tab.incognito &&
+    normalizeUrl(resolvePlaceholderUrl(other.url || other.pendingUrl), rules) === key
+  );
+  if (!existing) return;
+  
+  if (settings.action === 'notify') {
+    chrome.notifications.create(`${DUPLICATE_NOTIFICATION_PREFIX}${tab.id}:${existing.id}`, {
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title: 'This page is already open',
+      message: existing.title || url,
+      buttons: [{ title: 'Switch to open tab' }, { title: 'Keep both' }]
+    });
+    return;
+  }
+  
+  console.log('Duplicate tab closed:', url);
+  await focusTab(existing);
+  await chrome.tabs.remove(tab.id);
+}
+
+function handleGuardError(error) {
+  // The tab may have been closed in the meantime
+  console.warn('Duplicate guard:', error.message);
+}
+
+chrome.tabs.onCreated.addListener((tab) => {
+  const url = tab.pendingUrl || tab.url;
+  if (isWebUrl(url)) {
+    guardAgainstDuplicate(tab, url).catch(handleGuardError);
+  } else if (resolvePlaceholderUrl(url) === url) {
+    // New tab page and the like (not lazily restored tabs): check the first page it opens
+    updateNewTabIds(tabIds => { tabIds.add(tab.id); }).catch(handleGuardError);
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!changeInfo.url || !isWebUrl(changeInfo.url)) return;
+  updateNewTabIds(tabIds => tabIds.delete(tabId))
+    .then(wasNew => wasNew && guardAgainstDuplicate(tab, changeInfo.url))
+    .catch(handleGuardError);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateNewTabIds(tabIds => { tabIds.delete(tabId); }).catch(handleGuardError);
+});
+
+// Notification choice: switch to the open tab and close the new one, or keep both
+async function resolveDuplicateNotification(notificationId, switchToOpenTab) {
+  if (!notificationId.startsWith(DUPLICATE_NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  if (!switchToOpenTab) return;
+  
+  const [newTabId, existingTabId] = notificationId.slice(DUPLICATE_NOTIFICATION_PREFIX.length).split(':').map(Number);
+  const existing = await chrome.tabs.get(existingTabId);
+  await focusTab(existing);
+  await chrome.tabs.remove(newTabId);
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  resolveDuplicateNotification(notificationId, buttonIndex === 0).catch(handleGuardError);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  resolveDuplicateNotification(notificationId, true).catch(handleGuardError);
+});
+
+// ==================== AUTO GROUPING ====================
+
+// Tabs the user took out of a group; auto grouping leaves them alone
+const AUTO_GROUP_SKIP_KEY = 'autoGroupSkippedTabs';
+
+// Runs are chained so two tabs matching the same rule cannot both create its group
+let autoGroupQueue = Promise.resolve();
+
+function queueAutoGroup(task) {
+  autoGroupQueue = autoGroupQueue.then(task).catch(handleAutoGroupError);
+}
+
+async function updateAutoGroupSkips(update) {
+  const data = await chrome.storage.session.get(AUTO_GROUP_SKIP_KEY);
+  const skipped = update(data[AUTO_GROUP_SKIP_KEY] || []);
+  await chrome.storage.session.set({ [AUTO_GROUP_SKIP_KEY]: skipped });
+}
+
+async function autoGroupTab(tabId, titleChanged) {
+  // Restores recreate their own groups
+  if (activeRestore) return;
+  
+  const settings = await getGroupRulesSettings();
+  if (!settings.enabled || settings.rules.length === 0) return;
+  if (titleChanged && !settings.rules.some(rule => rule.type === 'title')) return;
+  
+  const data = await chrome.storage.session.get(AUTO_GROUP_SKIP_KEY);
+  if ((data[AUTO_GROUP_SKIP_KEY] || []).includes(tabId)) return;
+  
+  // The tab may have been grouped since the event fired
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.pinned || tab.groupId !== -1) return;
+  await groupTabsByRules([tab], settings.rules);
+}
+
+function handleAutoGroupError(error) {
+  // The tab may have been closed (for example by the duplicate guard)
+  console.warn('Auto grouping:', error.message);
+}
+
+// Only committed navigations count; a title change only matters to title rules
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.groupId === -1) {
+    queueAutoGroup(() => updateAutoGroupSkips(skipped =>
+      skipped.includes(tabId) ? skipped : [...skipped, tabId]));
+  } else if (changeInfo.url || changeInfo.title) {
+    queueAutoGroup(() => autoGroupTab(tabId, !changeInfo.url));
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueAutoGroup(() => updateAutoGroupSkips(skipped => skipped.filter(id => id !== tabId)));
+});
+
+// ==================== CONTENT INDEX ====================
+
+function handleContentIndexError(error) {
+  // Pages the extension may not script (web store, error pages) are skipped
+  console.warn('Content index:', error.message);
+}
+
+async function indexAllTabs() {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    await indexTabContent(tab).catch(handleContentIndexError);
+  }
+}
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && await isContentIndexEnabled()) {
+    indexTabContent(tab).catch(handleContentIndexError);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  removeTabContent(tabId).catch(handleContentIndexError);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[CONTENT_INDEX_ENABLED_KEY]) {
+    const task = changes[CONTENT_INDEX_ENABLED_KEY].newValue === true ? indexAllTabs() : clearContentIndex();
+    task.catch(handleContentIndexError);
+  }
+});
+
+// ==================== TAB HISTORY ====================
+
+// Updates are chained so quick tab switches do not overwrite each other
+let tabMruQueue = Promise.resolve();
+
+function updateTabMru(update) {
+  tabMruQueue = tabMruQueue.then(async () => {
+    const order = update(await getTabMruOrder());
+    await chrome.storage.session.set({ [TAB_MRU_KEY]: order.slice(0, TAB_MRU_LIMIT) });
+  }).catch(error => console.error('Error updating tab history:', error));
+  return tabMruQueue;
+}
+
+async function rememberActiveTab(tabId, windowId) {
+  // The switcher's own popup window is not part of the history
+  const win = await chrome.windows.get(windowId);
+  if (win.type !== 'normal') return;
+  await updateTabMru(order => [tabId, ...order.filter(id => id !== tabId)]);
+}
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  rememberActiveTab(tabId, windowId).catch(error => console.warn('Tab history:', error.message));
+});
+
+// Switching windows does not fire onActivated, but changes the current tab
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  if (tab) rememberActiveTab(tab.id, windowId).catch(error => console.warn('Tab history:', error.message));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateTabMru(order => order.filter(id => id !== tabId));
+});
+
+// ==================== KEYBOARD COMMANDS ====================
+
+const SWITCHER_PAGE = 'switcher.html';
+const SWITCHER_WIDTH = 560;
+const SWITCHER_HEIGHT = 440;
+
+let switcherWindowId = null;
+
+// Open the quick switcher in a small window centered on the current one
+async function openQuickSwitcher() {
+  if (switcherWindowId !== null) {
+    try {
+      await chrome.windows.update(switcherWindowId, { focused: true });
+      return;
+    } catch (e) {
+      switcherWindowId = null;
+    }
+  }
+  
+  const current = await chrome.windows.getLastFocused();
+  const win = await chrome.windows.create({
+    url: chrome.runtime.getURL(SWITCHER_PAGE),
+    type: 'popup',
+    width: SWITCHER_WIDTH,
+    height: SWITCHER_HEIGHT,
+    left: Math.round(current.left + (current.width - SWITCHER_WIDTH) / 2),
+    top: Math.round(current.top + (current.height - SWITCHER_HEIGHT) / 3),
+    focused: true
+  });
+  switcherWindowId = win.id;
+}
+
+// Jump back to the most recently used tab other than the current one
+async function switchToPreviousTab() {
+  const order = await getTabMruOrder();
+  const [current] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  for (const tabId of order) {
+    if (current && tabId === current.id) continue;
+    try {
+      const tab = await chrome.tabs.update(tabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    } catch (e) {
+      // Closed while the worker was asleep; try the next one
+    }
+  }
+}
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (windowId === switcherWindowId) switcherWindowId = null;
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  const task = command === 'open-switcher' ? openQuickSwitcher()
+    : command === 'previous-tab' ? switchToPreviousTab()
+    : Promise.resolve();
+  task.catch(error => console.error(`Error running command ${command}:`, error));
+});
+
+// ==================== OMNIBOX ====================
+
+// Typing "tm <query>" in the address bar suggests open tabs (matched like the
+// popup search) and saved sessions by name
+const OMNIBOX_TAB_SUGGESTIONS = 6;
+const OMNIBOX_SESSION_SUGGESTIONS = 3;
+const OMNIBOX_DEFAULT_HINT = 'Search open tabs and saved sessions (domain:, group:, is:pinned, older:3d, ...)';
+
+// Suggestion descriptions are XML
+function escapeOmniboxText(text) {
+  return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Saved sessions whose name matches every plain word of the query, best first;
+// all sessions (newest first) for an empty query
+async function findSessionsByName(text) {
+  const { filters, terms } = parseTabQuery(text);
+  const sessions = await getSavedSessions();
+  // Filters such as is:pinned only apply to tabs
+  if (terms.length === 0) return filters.length === 0 ? sessions : [];
+  return sessions
+    .map(entry => ({ entry, score: Math.min(...terms.map(term => fuzzyScore(term, entry.session))) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry }) => entry);
+}
+
+async function getOmniboxSuggestions(text) {
+  let tabs;
+  if (text.trim()) {
+    tabs = (await queryTabs(text)).map(result => result.tab);
+  } else {
+    tabs = sortTabsByMru(await chrome.tabs.query({}), await getTabMruOrder());
+  }
+  const sessions = await findSessionsByName(text);
+  
+  const tabSuggestions = tabs.slice(0, OMNIBOX_TAB_SUGGESTIONS).map(tab => ({
+    content: `tab:${tab.id}`,
+    description: `${escapeOmniboxText(tab.title || 'Untitled')} <dim>-</dim> <url>${escapeOmniboxText(tab.url)}</url>`
+  }));
+  const sessionSuggestions = sessions.slice(0, OMNIBOX_SESSION_SUGGESTIONS).map(entry => ({
+    content: `session:${entry.id}`,
+    description: `<dim>Restore session:</dim> <match>${escapeOmniboxText(entry.session)}</match> <dim>(${entry.tabCount} tabs)</dim>`
+  }));
+  return { tabs, sessions, suggestions: [...tabSuggestions, ...sessionSuggestions] };
+}
+
+async function switchToTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+async function restoreSavedSession(id) {
+  const entry = (await getSavedSessions()).find(s => s.id === id);
+  if (!entry) throw new Error('Session not found');
+  await runSessionRestore(entry, await getRestoreSettings());
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_DEFAULT_HINT });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  getOmniboxSuggestions(text)
+    .then(({ suggestions }) => {
+      chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_DEFAULT_HINT });
+      suggest(suggestions);
+    })
+    .catch(error => {
+      // Invalid queries (a bad regex, unknown is: flag) are explained in place
+      chrome.omnibox.setDefaultSuggestion({ description: escapeOmniboxText(error.message) });
+      suggest([]);
+    });
+});
+
+// Picking a suggestion passes its content; Enter on the typed text picks the best match
+chrome.omnibox.onInputEntered.addListener((text) => {
+  const run = async () => {
+    const tabMatch = text.match(/^tab:(\d+)$/);
+    const sessionMatch = text.match(/^session:(.+)$/);
+    if (tabMatch) return switchToTab(parseInt(tabMatch[1]));
+    if (sessionMatch) return restoreSavedSession(sessionMatch[1]);
+    
+    const { tabs, sessions } = await getOmniboxSuggestions(text);
+    if (tabs.length > 0) return switchToTab(tabs[0].id);
+    if (sessions.length > 0) return restoreSavedSession(sessions[0].id);
+  };
+  run().catch(error => {
+    // The omnibox has closed by now; tell the user why (for example a restore is already running)
+    console.error('Omnibox:', error);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title: 'Tab Manager',
+      message: error.message
+    });
+  });
+});
+
+// ==================== IDLE TABS ====================
+
+async function runIdleDiscard() {
+  const settings = await getIdleDiscardSettings();
+  if (!settings.enabled) return;
+  
+  const { discardedCount } = await discardIdleTabs(settings);
+  if (discardedCount === 0) return;
+  
+  const data = await chrome.storage.local.get(IDLE_DISCARD_STATE_KEY);
+  const state = data[IDLE_DISCARD_STATE_KEY] || { totalDiscarded: 0 };
+  await chrome.storage.local.set({
+    [IDLE_DISCARD_STATE_KEY]: { lastDiscardAt: Date.now(), totalDiscarded: state.totalDiscarded + discardedCount }
+  });
+  console.log(`Discarded ${discardedCount} idle tabs`);
+}
+
+// The check alarm only exists while the idle manager is on
+function updateIdleDiscardAlarm(enabled) {
+  if (!enabled) {
+    chrome.alarms.clear(IDLE_DISCARD_ALARM);
+    return;
+  }
+  chrome.alarms.get(IDLE_DISCARD_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(IDLE_DISCARD_ALARM, { periodInMinutes: IDLE_DISCARD_CHECK_MINUTES });
+    }
+  });
+}
+
+getIdleDiscardSettings().then(settings => updateIdleDiscardAlarm(settings.enabled));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[IDLE_DISCARD_KEY]) {
+    updateIdleDiscardAlarm(changes[IDLE_DISCARD_KEY].newValue?.enabled === true);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === IDLE_DISCARD_ALARM) {
+    runIdleDiscard().catch(error => console.error('Error discarding idle tabs:', error));
+  }
+});
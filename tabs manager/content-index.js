@@ -0,0 +1,205 @@
+// Opt-in full-text index of open tabs, shared by the popup and background.
+//
+// The background extracts the visible text of each tab when it finishes
+// loading and keeps one compact entry per tab in chrome.storage.session
+// (cleared when the browser closes):
+//   contentIndex_<tabId>   { url, indexed: time, words: unique words joined by spaces, snippet: start of the text }
+// Searches use an inverted index (word -> tab IDs) built once from the
+// entries and then updated as entries change.
+
+const CONTENT_INDEX_ENABLED_KEY = 'contentIndexEnabled';
+const CONTENT_INDEX_PREFIX = 'contentIndex_';
+
+// Page text read for indexing; only its words and a short snippet are stored
+const CONTENT_TEXT_LIMIT = 50000;
+const CONTENT_WORD_LIMIT = 1500;
+const CONTENT_SNIPPET_LIMIT = 500;
+// Oldest entries dropped at a time when session storage is full
+const CONTENT_EVICT_BATCH = 20;
+
+// Page text counts for less than a match in the title or URL
+const CONTENT_MATCH_WEIGHT = 0.6;
+
+async function isContentIndexEnabled() {
+  const data = await chrome.storage.local.get(CONTENT_INDEX_ENABLED_KEY);
+  return data[CONTENT_INDEX_ENABLED_KEY] === true;
+}
+
+function contentIndexKey(tabId) {
+  return `${CONTENT_INDEX_PREFIX}${tabId}`;
+}
+
+// Unique lowercase words of 2-30 letters or digits, in order of appearance
+function tokenizeContent(text) {
+  const words = new Set();
+  for (const [word] of text.toLowerCase().matchAll(/[\p{L}\p{N}]{2,30}/gu)) {
+    words.add(word);
+    if (words.size >= CONTENT_WORD_LIMIT) break;
+  }
+  return [...words];
+}
+
+function isIndexableTab(tab) {
+  // Discarded tabs cannot run scripts; private pages stay out of the index
+  return /^https?:/.test(tab.url || '') && !tab.discarded && !tab.incognito;
+}
+
+// Runs in the page: rendered text only, with whitespace collapsed
+function extractVisibleText(limit) {
+  const text = document.body ? document.body.innerText : '';
+  return text.replace(/\s+/g, ' ').trim().slice(0, limit);
+}
+
+async function getContentEntries() {
+  const data = await chrome.storage.session.get(null);
+  return Object.entries(data).filter(([key]) => key.startsWith(CONTENT_INDEX_PREFIX));
+}
+
+// Remove the least recently indexed entries (other than `keepKey`);
+// returns false when there is nothing left to remove
+async function evictOldestContent(keepKey) {
+  const keys = (await getContentEntries())
+    .filter(([key]) => key !== keepKey)
+    .sort((a, b) => (a[1].indexed || 0) - (b[1].indexed || 0))
+    .slice(0, CONTENT_EVICT_BATCH)
+    .map(([key]) => key);
+  if (keys.length === 0) return false;
+  await chrome.storage.session.remove(keys);
+  return true;
+}
+
+function isQuotaError(error) {
+  return /QUOTA_BYTES/i.test(error?.message || '');
+}
+
+async function indexTabContent(tab) {
+  if (!isIndexableTab(tab)) return;
+
+  const [{ result }] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: extractVisibleText,
+    args: [CONTENT_TEXT_LIMIT]
+  });
+  const text = result || '';
+  const key = contentIndexKey(tab.id);
+  const entry = {
+    url: tab.url,
+    indexed: Date.now(),
+    words: tokenizeContent(text).join(' '),
+    snippet: text.slice(0, CONTENT_SNIPPET_LIMIT)
+  };
+
+  // Make room by dropping the oldest entries when session storage is full
+  for (;;) {
+    try {
+      await chrome.storage.session.set({ [key]: entry });
+      return;
+    } catch (error) {
+      if (!isQuotaError(error) || !await evictOldestContent(key)) throw error;
+    }
+  }
+}
+
+async function removeTabContent(tabId) {
+  await chrome.storage.session.remove(contentIndexKey(tabId));
+}
+
+async function clearContentIndex() {
+  const keys = (await getContentEntries()).map(([key]) => key);
+  if (keys.length > 0) await chrome.storage.session.remove(keys);
+}
+
+function addContentPostings(index, tabId, entry) {
+  index.entries[tabId] = entry;
+  entry.words.split(' ').forEach(word => {
+    if (!word) return;
+    if (!index.postings.has(word)) index.postings.set(word, new Set());
+    index.postings.get(word).add(tabId);
+  });
+}
+
+function removeContentPostings(index, tabId) {
+  const entry = index.entries[tabId];
+  if (!entry) return;
+  entry.words.split(' ').forEach(word => {
+    const tabIds = index.postings.get(word);
+    if (!tabIds) return;
+    tabIds.delete(tabId);
+    if (tabIds.size === 0) index.postings.delete(word);
+  });
+  delete index.entries[tabId];
+}
+
+// Build { entries: { [tabId]: entry }, postings: Map(word -> Set(tabId)) }
+async function loadContentSearchIndex() {
+  const index = { entries: {}, postings: new Map() };
+  (await getContentEntries()).forEach(([key, entry]) => {
+    addContentPostings(index, parseInt(key.slice(CONTENT_INDEX_PREFIX.length)), entry);
+  });
+  return index;
+}
+
+// Loaded on first use, then kept up to date from storage changes
+let contentSearchIndexCache = null;
+
+function getContentSearchIndex() {
+  if (!contentSearchIndexCache) contentSearchIndexCache = loadContentSearchIndex();
+  return contentSearchIndexCache;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'session' || !contentSearchIndexCache) return;
+  const changed = Object.entries(changes).filter(([key]) => key.startsWith(CONTENT_INDEX_PREFIX));
+  if (changed.length === 0) return;
+
+  contentSearchIndexCache = contentSearchIndexCache.then(index => {
+    changed.forEach(([key, { newValue }]) => {
+      const tabId = parseInt(key.slice(CONTENT_INDEX_PREFIX.length));
+      removeContentPostings(index, tabId);
+      if (newValue) addContentPostings(index, tabId, newValue);
+    });
+    return index;
+  });
+});
+
+// Tabs whose text has `term` as a word (score 1) or as a word prefix (0.8).
+// Returns Map(tabId -> score).
+function findContentMatches(index, term) {
+  const matches = new Map();
+  index.postings.forEach((tabIds, word) => {
+    if (!word.startsWith(term)) return;
+    const score = word === term ? 1 : 0.8;
+    tabIds.forEach(tabId => {
+      matches.set(tabId, Math.max(matches.get(tabId) || 0, score));
+    });
+  });
+  return matches;
+}
+
+// Snippet for an entry matched by `terms`: { before, match, after }. The text
+// around the word when it is in the stored snippet, else just the indexed word.
+function getContentSnippet(entry, terms, radius = 60) {
+  const text = entry.snippet || '';
+  for (const term of terms) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const found = new RegExp(`(?:^|[^\\p{L}\\p{N}])(${escaped})`, 'iu').exec(text);
+    if (!found) continue;
+
+    const start = found.index + found[0].length - found[1].length;
+    const end = start + found[1].length;
+    const from = Math.max(0, start - radius);
+    const to = Math.min(text.length, end + radius);
+    return {
+      before: (from > 0 ? '…' : '') + text.slice(from, start),
+      match: text.slice(start, end),
+      after: text.slice(end, to) + (to < text.length ? '…' : '')
+    };
+  }
+
+  const words = entry.words.split(' ');
+  for (const term of terms) {
+    const word = words.find(w => w.startsWith(term));
+    if (word) return { before: '…', match: word, after: '…' };
+  }
+  return null;
+}
@@ -0,0 +1,94 @@
+// Rule-based automatic tab grouping, shared by the popup and background.
+// A rule maps a domain, URL regex or title regex to a group name and color;
+// the first matching rule wins. Only tabs that are not in a group are moved.
+
+const GROUP_RULES_KEY = 'autoGroupRules';
+
+const GROUP_RULES_DEFAULTS = {
+  enabled: false,
+  // [{ type: 'domain' | 'url' | 'title', pattern, group, color }]
+  rules: []
+};
+
+const GROUP_RULE_TYPES = ['domain', 'url', 'title'];
+
+async function getGroupRulesSettings() {
+  const data = await chrome.storage.local.get(GROUP_RULES_KEY);
+  return { ...GROUP_RULES_DEFAULTS, ...data[GROUP_RULES_KEY] };
+}
+
+async function setGroupRulesSettings(settings) {
+  await chrome.storage.local.set({ [GROUP_RULES_KEY]: settings });
+}
+
+// Throw a readable error for a rule that cannot be used
+function validateGroupRule(rule, position) {
+  const label = `Rule ${position}`;
+  if (!rule || !GROUP_RULE_TYPES.includes(rule.type)) {
+    throw new Error(`${label}: type must be one of ${GROUP_RULE_TYPES.join(', ')}`);
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+    throw new Error(`${label}: pattern is empty`);
+  }
+  if (typeof rule.group !== 'string' || !rule.group.trim()) {
+    throw new Error(`${label}: group name is empty`);
+  }
+  if (!TAB_GROUP_COLORS.includes(rule.color)) {
+    throw new Error(`${label}: color must be one of ${TAB_GROUP_COLORS.join(', ')}`);
+  }
+  if (rule.type !== 'domain') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      throw new Error(`${label}: invalid pattern ${rule.pattern}`);
+    }
+  }
+}
+
+function groupRuleMatches(rule, tab) {
+  const url = tab.pendingUrl || tab.url || '';
+  try {
+    if (rule.type === 'domain') {
+      const hostname = new URL(url).hostname.toLowerCase();
+      const domain = rule.pattern.trim().toLowerCase();
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    const value = rule.type === 'url' ? url : (tab.title || '');
+    return new RegExp(rule.pattern, 'i').test(value);
+  } catch (e) {
+    return false;
+  }
+}
+
+function findMatchingGroupRule(tab, rules) {
+  return rules.find(rule => groupRuleMatches(rule, tab)) || null;
+}
+
+// Move ungrouped, unpinned tabs into the groups their rules name, reusing an
+// open group with the same name and color in the tab's window.
+// Returns { groupedCount, groupCount }.
+async function groupTabsByRules(tabs, rules) {
+  const targets = new Map();
+  tabs.forEach(tab => {
+    if (tab.pinned || tab.groupId !== -1) return;
+    const rule = findMatchingGroupRule(tab, rules);
+    if (!rule) return;
+    const key = `${tab.windowId}|${rule.group}|${rule.color}`;
+    if (!targets.has(key)) targets.set(key, { windowId: tab.windowId, rule, tabIds: [] });
+    targets.get(key).tabIds.push(tab.id);
+  });
+
+  let groupedCount = 0;
+  for (const { windowId, rule, tabIds } of targets.values()) {
+    const [existing] = await chrome.tabGroups.query({ windowId, title: rule.group, color: rule.color });
+    if (existing) {
+      await chrome.tabs.group({ groupId: existing.id, tabIds });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      await chrome.tabGroups.update(groupId, { title: rule.group, color: rule.color });
+    }
+    groupedCount += tabIds.length;
+  }
+
+  return { groupedCount, groupCount: targets.size };
+}
@@ -0,0 +1,93 @@
+// Idle tab manager, shared by the popup and background: discards tabs that
+// have not been used for a while so the browser can free their memory.
+// Pinned, audible, active and allowlisted tabs and tabs with unsaved form
+// input are never discarded. Uses isAllowlistedUrl from url-normalizer.js.
+
+const IDLE_DISCARD_KEY = 'idleDiscard';
+const IDLE_DISCARD_STATE_KEY = 'idleDiscardState';
+const IDLE_DISCARD_ALARM = 'idleDiscard';
+const IDLE_DISCARD_CHECK_MINUTES = 1;
+
+const IDLE_DISCARD_DEFAULTS = {
+  enabled: false,
+  // Minutes since the tab was last used
+  minutes: 60,
+  // Domains (and their subdomains) that are never discarded
+  allowlist: []
+};
+
+async function getIdleDiscardSettings() {
+  const data = await chrome.storage.local.get(IDLE_DISCARD_KEY);
+  return { ...IDLE_DISCARD_DEFAULTS, ...data[IDLE_DISCARD_KEY] };
+}
+
+async function setIdleDiscardSettings(settings) {
+  await chrome.storage.local.set({ [IDLE_DISCARD_KEY]: settings });
+}
+
+// Tabs that may be discarded, before the unsaved-input check
+function findIdleTabs(tabs, settings, now = Date.now()) {
+  const cutoff = now - settings.minutes * 60 * 1000;
+  return tabs.filter(tab =>
+    !tab.active &&
+    !tab.pinned &&
+    !tab.audible &&
+    !tab.discarded &&
+    tab.autoDiscardable !== false &&
+    /^https?:/.test(tab.url || '') &&
+    (tab.lastAccessed || now) < cutoff &&
+    !isAllowlistedUrl(tab.url, settings.allowlist)
+  );
+}
+
+// Runs in the page: true if any form field differs from its loaded value
+function hasUnsavedFormInput() {
+  const fields = document.querySelectorAll('input, textarea, select');
+  for (const field of fields) {
+    if (field.disabled || field.type === 'hidden') continue;
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked !== field.defaultChecked) return true;
+    } else if (field.tagName === 'SELECT') {
+      if ([...field.options].some(option => option.selected !== option.defaultSelected)) return true;
+    } else if (field.value !== field.defaultValue) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Pages that cannot be checked are treated as having unsaved input
+async function tabHasUnsavedInput(tabId) {
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: hasUnsavedFormInput
+    });
+    return result !== false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// Discard idle tabs in all windows; returns { discardedCount, keptCount }
+// where keptCount counts idle tabs kept for unsaved input
+async function discardIdleTabs(settings) {
+  const tabs = findIdleTabs(await chrome.tabs.query({}), settings);
+  let discardedCount = 0;
+  let keptCount = 0;
+
+  for (const tab of tabs) {
+    if (await tabHasUnsavedInput(tab.id)) {
+      keptCount++;
+      continue;
+    }
+    try {
+      await chrome.tabs.discard(tab.id);
+      discardedCount++;
+    } catch (e) {
+      // Closed or activated in the meantime
+    }
+  }
+
+  return { discardedCount, keptCount };
+}
@@ -0,0 +1,25 @@
+// Placeholder page for lazily restored tabs: loads the real URL on first activation
+const params = new URLSearchParams(location.hash.slice(1));
+const targetUrl = params.get('url') || '';
+const targetTitle = params.get('title') || targetUrl;
+
+// Only navigate to the kinds of URLs the restore engine opens
+const isAllowedUrl = /^(https?|file):\/\//i.test(targetUrl);
+
+document.title = targetTitle;
+document.getElementById('placeholderTitle').textContent = targetTitle;
+
+const urlLink = document.getElementById('placeholderUrl');
+urlLink.textContent = targetUrl;
+if (isAllowedUrl) {
+  urlLink.href = targetUrl;
+}
+
+function loadTarget() {
+  if (isAllowedUrl && document.visibilityState === 'visible') {
+    location.replace(targetUrl);
+  }
+}
+
+document.addEventListener('visibilitychange', loadTarget);
+loadTarget();
@@ -14,92 +14,275 @@ async function updateTabCount() {
   }
 }
 
-// Helper functions for encoding/decoding tab data
-function encodeTabData(tab, group) {
-  // Ultra-compact array format: [url, groupName, groupColor]
-  // Omit group data if not in a group to save space
-  const data = group ? [tab.url, group.title, group.color] : [tab.url];
-  const json = JSON.stringify(data);
-  // Use btoa directly without encodeURIComponent for shorter output
-  return btoa(unescape(encodeURIComponent(json)));
+function calculatePrivacyScore(thirdPartyCount, trackerCount) {
+  const base = 100;
+  const trackerPenalty = Math.min(60, trackerCount * 12);
+  const thirdPartyPenalty = Math.min(30, Math.max(0, thirdPartyCount - 2) * 2);
+  return Math.max(0, Math.round(base - trackerPenalty - thirdPartyPenalty));
 }
 
-function decodeTabData(encoded) {
-  try {
-    const json = decodeURIComponent(escape(atob(encoded)));
-    const data = JSON.parse(json);
-    return {
-      url: data[0],
-      title: '',
-      groupTitle: data[1] || null,
-      groupColor: data[2] || null
-    };
-  } catch (e) {
-    return null;
+// ==================== RESTORE ENGINE ====================
+
+async function loadRestoreSettings() {
+  const settings = await getRestoreSettings();
+  document.getElementById('restoreLoadMode').value = settings.loadMode;
+  document.getElementById('restoreConcurrency').value = settings.concurrency;
+}
+
+async function saveRestoreSettings() {
+  const loadModeSelect = document.getElementById('restoreLoadMode');
+  const concurrencyInput = document.getElementById('restoreConcurrency');
+  const concurrency = Math.max(1, Math.min(50, parseInt(concurrencyInput.value, 10) || RESTORE_DEFAULTS.concurrency));
+  concurrencyInput.value = concurrency;
+  await chrome.storage.local.set({
+    [RESTORE_SETTINGS_KEY]: { loadMode: loadModeSelect.value, concurrency }
+  });
+}
+
+document.getElementById('restoreLoadMode').addEventListener('change', saveRestoreSettings);
+document.getElementById('restoreConcurrency').addEventListener('change', saveRestoreSettings);
+
+function showRestoreProgress(progress) {
+  const container = document.getElementById('restoreProgress');
+  if (!progress) {
+    container.classList.add('hidden');
+    return;
   }
+  
+  const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+  document.getElementById('restoreProgressBar').style.width = `${percent}%`;
+  document.getElementById('restoreProgressText').textContent = `Restoring tabs: ${progress.done}/${progress.total}`;
+  container.classList.remove('hidden');
 }
 
-// Check if line is encoded format
-function isEncodedFormat(line) {
+// Restore a session in the background service worker with the saved
+// throttling settings; progress is shown until it finishes
+async function runRestore(sessionData) {
+  const settings = await getRestoreSettings();
+  showRestoreProgress({ done: 0, total: sessionData.tabs.length });
+  
   try {
-    atob(line);
-    return line.length > 20 && !line.includes(' ') && /^[A-Za-z0-9+/=]+$/.test(line);
-  } catch (e) {
-    return false;
+    const response = await chrome.runtime.sendMessage({
+      action: 'restoreSession',
+      sessionData,
+      options: settings
+    });
+    if (!response || response.error) {
+      throw new Error(response?.error || 'Restore failed');
+    }
+    return response.result;
+  } finally {
+    showRestoreProgress(null);
   }
 }
 
-function calculatePrivacyScore(thirdPartyCount, trackerCount) {
-  const base = 100;
-  const trackerPenalty = Math.min(60, trackerCount * 12);
-  const thirdPartyPenalty = Math.min(30, Math.max(0, thirdPartyCount - 2) * 2);
-  return Math.max(0, Math.round(base - trackerPenalty - thirdPartyPenalty));
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'restoreProgress') {
+    showRestoreProgress(message.progress);
+  }
+});
+
+document.getElementById('cancelRestore').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'cancelRestore' }).catch(() => {});
+});
+
+// Pick up a restore that is still running from an earlier popup
+chrome.runtime.sendMessage({ action: 'getRestoreProgress' })
+  .then(response => showRestoreProgress(response?.progress))
+  .catch(() => {});
+
+loadRestoreSettings();
+
+// ==================== RESTORE PREVIEW ====================
+
+// Tabs waiting for confirmation: { sessionData, groups, invalid, onConfirm }
+let pendingPreview = null;
+
+function hideRestorePreview() {
+  pendingPreview = null;
+  document.getElementById('restorePreview').classList.add('hidden');
+  document.getElementById('previewGroups').innerHTML = '';
+}
+
+function updatePreviewSummary() {
+  const selected = document.querySelectorAll('#previewGroups .preview-tab-checkbox:checked').length;
+  const total = pendingPreview.sessionData.tabs.length;
+  const invalid = pendingPreview.invalid.length;
+  const invalidMsg = invalid > 0 ? `, ${invalid} invalid` : '';
+  document.getElementById('previewSummary').textContent = `${selected} of ${total} tabs selected${invalidMsg}`;
+  document.getElementById('confirmRestore').textContent = `🚀 Open ${selected} Selected`;
+  document.getElementById('confirmRestore').disabled = selected === 0;
+}
+
+function createPreviewTabRow(entry) {
+  const row = document.createElement('label');
+  row.className = 'preview-tab';
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'preview-tab-checkbox';
+  checkbox.checked = entry.checked;
+  checkbox.disabled = entry.invalid;
+  checkbox.addEventListener('change', () => {
+    entry.checked = checkbox.checked;
+    updatePreviewSummary();
+  });
+  row.appendChild(checkbox);
+  
+  const info = document.createElement('span');
+  info.className = 'preview-tab-info';
+  info.textContent = entry.tab.title || entry.tab.url || '(no URL)';
+  info.title = entry.tab.url || '';
+  row.appendChild(info);
+  
+  entry.flags.forEach(flag => {
+    const badge = document.createElement('span');
+    badge.className = `preview-flag ${entry.invalid ? 'invalid' : 'duplicate'}`;
+    badge.textContent = flag;
+    row.appendChild(badge);
+  });
+  
+  return row;
 }
 
+function createPreviewGroupBlock(group) {
+  const block = document.createElement('div');
+  block.className = 'preview-group';
+  
+  const header = document.createElement('div');
+  header.className = 'preview-group-header';
+  
+  if (!group.invalid) {
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = group.entries.some(entry => entry.checked);
+    toggle.title = 'Select or clear all tabs in this group';
+    toggle.addEventListener('change', () => {
+      group.entries.forEach(entry => { entry.checked = toggle.checked; });
+      block.querySelectorAll('.preview-tab-checkbox').forEach(cb => { cb.checked = toggle.checked; });
+      updatePreviewSummary();
+    });
+    header.appendChild(toggle);
+  }
+  
+  if (group.key) {
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'preview-group-name';
+    nameInput.value = group.title;
+    nameInput.placeholder = 'Group name (empty = no group)';
+    nameInput.addEventListener('input', () => { group.title = nameInput.value.trim(); });
+    header.appendChild(nameInput);
+    
+    const colorSelect = document.createElement('select');
+    colorSelect.className = `preview-group-color color-${group.color}`;
+    TAB_GROUP_COLORS.forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color;
+      colorSelect.appendChild(option);
+    });
+    colorSelect.value = group.color;
+    colorSelect.addEventListener('change', () => {
+      group.color = colorSelect.value;
+      colorSelect.className = `preview-group-color color-${group.color}`;
+    });
+    header.appendChild(colorSelect);
+  } else {
+    const label = document.createElement('span');
+    label.className = 'preview-group-label';
+    label.textContent = group.invalid ? '⚠ Invalid (will be skipped)' : 'Ungrouped';
+    header.appendChild(label);
+  }
+  
+  block.appendChild(header);
+  group.entries.forEach(entry => block.appendChild(createPreviewTabRow(entry)));
+  return block;
+}
+
+// Show parsed tabs grouped by their target tab group for review.
+// `onConfirm(sessionData)` receives the session with only the confirmed tabs.
+async function showRestorePreview(sessionData, report, onConfirm) {
+  const openTabs = await chrome.tabs.query({});
+  const openUrls = new Set(openTabs.map(tab => tab.url));
+  const seenUrls = new Set();
+  const groups = new Map();
+  
+  sessionData.tabs.forEach(tab => {
+    const key = (tab.group && tab.color && !tab.pinned) ? `${tab.group}|${tab.color}` : null;
+    if (!groups.has(key)) {
+      groups.set(key, { key, title: key ? tab.group : '', color: key ? tab.color : null, entries: [] });
+    }
+    
+    const flags = [];
+    if (seenUrls.has(tab.url)) flags.push('duplicate');
+    if (openUrls.has(tab.url)) flags.push('already open');
+    seenUrls.add(tab.url);
+    
+    groups.get(key).entries.push({ tab, flags, checked: flags.length === 0, invalid: false });
+  });
+  
+  // Ungrouped tabs are listed after the groups
+  const orderedGroups = [...groups.values()].sort((a, b) => (a.key === null) - (b.key === null));
+  
+  const invalid = report.filter(entry => entry.skipped).map(entry => ({
+    tab: { url: entry.url, title: entry.url },
+    flags: [entry.reason],
+    checked: false,
+    invalid: true
+  }));
+  if (invalid.length > 0) {
+    orderedGroups.push({ key: null, invalid: true, entries: invalid });
+  }
+  
+  pendingPreview = { sessionData, groups: orderedGroups, invalid, onConfirm };
+  
+  const groupsDiv = document.getElementById('previewGroups');
+  groupsDiv.innerHTML = '';
+  orderedGroups.forEach(group => groupsDiv.appendChild(createPreviewGroupBlock(group)));
+  
+  updatePreviewSummary();
+  document.getElementById('restorePreview').classList.remove('hidden');
+}
+
+document.getElementById('confirmRestore').addEventListener('click', async () => {
+  if (!pendingPreview) return;
+  const { sessionData, groups, onConfirm } = pendingPreview;
+  
+  // Apply edited group names and colors to the confirmed tabs
+  const tabs = [];
+  const sessionGroups = [];
+  groups.filter(group => !group.invalid).forEach(group => {
+    const selected = group.entries.filter(entry => entry.checked);
+    if (selected.length === 0) return;
+    
+    const title = group.key ? group.title : null;
+    const color = title ? group.color : null;
+    const saved = (sessionData.groups || []).find(g => `${g.title}|${g.color}` === group.key);
+    if (title && !sessionGroups.some(g => g.title === title && g.color === color)) {
+      sessionGroups.push({ title, color, collapsed: saved ? saved.collapsed : false });
+    }
+    selected.forEach(entry => tabs.push({ ...entry.tab, group: title, color }));
+  });
+  
+  hideRestorePreview();
+  await onConfirm({ ...sessionData, tabs, tabCount: tabs.length, groups: sessionGroups });
+});
+
+document.getElementById('cancelPreview').addEventListener('click', hideRestorePreview);
+
 // Get all tabs and copy URLs to clipboard
 document.getElementById('copyTabs').addEventListener('click', async () => {
   const statusDiv = document.getElementById('copyStatus');
   const urlInput = document.getElementById('urlInput');
   const includeGroups = document.getElementById('includeGroups').checked;
-  const useEncoded = document.getElementById('useEncoded').checked;
+  const format = getTabFormat(document.getElementById('copyFormat').value);
   
   try {
-    // Get all tabs in the current window
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    
-    // Get all tab groups if we need group info
-    const groups = {};
-    if (includeGroups) {
-      const allGroups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
-      allGroups.forEach(group => {
-        groups[group.id] = {
-          title: group.title || 'Untitled',
-          color: group.color
-        };
-      });
-    }
-    
-    // Extract URLs and group info from tabs
-    let output;
-    if (useEncoded) {
-      // Encoded format - compact Base64 strings
-      output = tabs.map(tab => {
-        const group = (tab.groupId !== -1 && groups[tab.groupId]) ? groups[tab.groupId] : null;
-        return encodeTabData(tab, group);
-      }).join('\n');
-    } else if (includeGroups) {
-      // Plain text with group info
-      output = tabs.map(tab => {
-        if (tab.groupId !== -1 && groups[tab.groupId]) {
-          const group = groups[tab.groupId];
-          return `${tab.url} | ${group.title} | ${group.color}`;
-        }
-        return tab.url;
-      }).join('\n');
-    } else {
-      // Plain URLs only
-      output = tabs.map(tab => tab.url).join('\n');
-    }
+    // Get all tabs and groups in the current window, or in every window like the export
+    const allWindows = document.getElementById('exportAllWindows').checked;
+    const sessionData = allWindows ? await captureAllWindowsSession() : await captureCurrentWindowSession();
+    const output = await format.serialize(sessionData, { includeGroups });
     
     // Copy to clipboard
     await navigator.clipboard.writeText(output);
@@ -108,8 +291,8 @@ document.getElementById('copyTabs').addEventListener('click', async () => {
     urlInput.value = output;
     
     // Show success message
-    const formatMsg = useEncoded ? ' (encoded)' : (includeGroups ? ' with groups' : '');
-    statusDiv.textContent = `✓ Copied ${tabs.length} tabs${formatMsg} to clipboard!`;
+    const groupMsg = (includeGroups && ['encoded-v2', 'encoded', 'text'].includes(format.id)) ? ' with groups' : '';
+    statusDiv.textContent = `✓ Copied ${sessionData.tabCount} tabs as ${format.label}${groupMsg} to clipboard!`;
     statusDiv.className = 'status success';
     
     // Clear message after 3 seconds
@@ -140,110 +323,43 @@ document.getElementById('openTabs').addEventListener('click', async () => {
       return;
     }
     
-    // Split by newlines and filter out empty lines
-    const lines = text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
+    // Detect the format and parse the pasted tabs
+    const { format, sessionData: parsed } = await parseTabList(text);
+    const { sessionData, report } = prepareSessionImport(parsed);
     
-    if (lines.length === 0) {
+    if (sessionData.tabs.length === 0) {
       statusDiv.textContent = '✗ No valid URLs found!';
       statusDiv.className = 'status error';
       return;
     }
     
-    // Parse lines for URLs and optional group info
-    const tabsData = lines.map(line => {
-      // Check if it's encoded format
-      if (isEncodedFormat(line)) {
-        const decoded = decodeTabData(line);
-        if (decoded) return decoded;
-      }
-      
-      // Plain text format
-      const parts = line.split('|').map(p => p.trim());
-      return {
-        url: parts[0],
-        title: '',
-        groupTitle: parts[1] || null,
-        groupColor: parts[2] || null
-      };
-    });
-    
-    // Validate URLs
-    const validTabs = tabsData.filter(tab => 
-      tab.url.startsWith('http://') || 
-      tab.url.startsWith('https://') || 
-      tab.url.startsWith('file://')
-    );
-    
-    if (validTabs.length === 0) {
-      statusDiv.textContent = '✗ No valid URLs found!';
-      statusDiv.className = 'status error';
-      return;
-    }
-    
-    // Group tabs by their group title and color
-    const groupMap = new Map();
-    const ungroupedTabs = [];
-    
-    if (restoreGroups) {
-      validTabs.forEach(tab => {
-        if (tab.groupTitle && tab.groupColor) {
-          const key = `${tab.groupTitle}|${tab.groupColor}`;
-          if (!groupMap.has(key)) {
-            groupMap.set(key, []);
-          }
-          groupMap.get(key).push(tab);
-        } else {
-          ungroupedTabs.push(tab);
-        }
-      });
-    } else {
-      ungroupedTabs.push(...validTabs);
+    if (!restoreGroups) {
+      sessionData.tabs = sessionData.tabs.map(tab => ({ ...tab, group: null, color: null }));
     }
     
-    let openedCount = 0;
-    
-    // Open ungrouped tabs
-    for (const tab of ungroupedTabs) {
-      await chrome.tabs.create({ url: tab.url, active: false });
-      openedCount++;
-    }
+    statusDiv.textContent = `Review ${sessionData.tabs.length} tabs from ${format.label} below`;
+    statusDiv.className = 'status';
     
-    // Open grouped tabs
-    if (restoreGroups) {
-      for (const [key, tabs] of groupMap.entries()) {
-        const [groupTitle, groupColor] = key.split('|');
-        const tabIds = [];
+    await showRestorePreview(sessionData, report, async (selectedSession) => {
+      try {
+        const { openedCount, groupCount, cancelled } = await runRestore(selectedSession);
         
-        // Create tabs
-        for (const tab of tabs) {
-          const newTab = await chrome.tabs.create({ url: tab.url, active: false });
-          tabIds.push(newTab.id);
-          openedCount++;
-        }
+        // Show success message
+        const groupMsg = groupCount > 0 ? ` in ${groupCount} groups` : '';
+        const cancelMsg = cancelled ? ' (cancelled)' : '';
+        statusDiv.textContent = `✓ Opened ${openedCount} tabs${groupMsg} from ${format.label}${cancelMsg}!`;
+        statusDiv.className = 'status success';
         
-        // Group the tabs
-        if (tabIds.length > 0) {
-          const groupId = await chrome.tabs.group({ tabIds });
-          await chrome.tabGroups.update(groupId, {
-            title: groupTitle,
-            color: groupColor
-          });
-        }
+        // Clear message after 3 seconds
+        setTimeout(() => {
+          statusDiv.textContent = '';
+          statusDiv.className = 'status';
+        }, 3000);
+      } catch (error) {
+        statusDiv.textContent = `✗ Error: ${error.message}`;
+        statusDiv.className = 'status error';
       }
-    }
-    
-    // Show success message
-    const groupMsg = (restoreGroups && groupMap.size > 0) ? ` in ${groupMap.size} groups` : '';
-    statusDiv.textContent = `✓ Opened ${openedCount} tabs${groupMsg}!`;
-    statusDiv.className = 'status success';
-    
-    // Clear message after 3 seconds
-    setTimeout(() => {
-      statusDiv.textContent = '';
-      statusDiv.className = 'status';
-    }, 3000);
+    });
     
   } catch (error) {
     statusDiv.textContent = `✗ Error: ${error.message}`;
@@ -251,48 +367,76 @@ document.getElementById('openTabs').addEventListener('click', async () => {
   }
 });
 
-// Export session to JSON file
+// Export session to a file in the selected format
 document.getElementById('exportSession').addEventListener('click', async () => {
   const statusDiv = document.getElementById('sessionStatus');
   
   try {
-    // Get all tabs in the current window
-    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const allWindows = document.getElementById('exportAllWindows').checked;
+    const exportFormat = document.getElementById('exportFormat').value;
+    const toBookmarks = exportFormat === 'bookmarks';
+    const format = getTabFormat(exportFormat);
+    const encrypt = document.getElementById('encryptExport').checked;
+    const passphrase = document.getElementById('exportPassphrase').value;
+    
+    if (toBookmarks && encrypt) {
+      statusDiv.textContent = '✗ Bookmark folders cannot be encrypted!';
+      statusDiv.className = 'status error';
+      return;
+    }
     
-    // Get all tab groups
-    const groups = {};
-    const allGroups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
-    allGroups.forEach(group => {
-      groups[group.id] = {
-        title: group.title || 'Untitled',
-        color: group.color
-      };
-    });
+    if (encrypt) {
+      if (!passphrase) {
+        statusDiv.textContent = '✗ Enter a passphrase to encrypt the export!';
+        statusDiv.className = 'status error';
+        return;
+      }
+      if (passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+        statusDiv.textContent = '✗ Passphrases do not match!';
+        statusDiv.className = 'status error';
+        return;
+      }
+    }
     
-    // Build session data
-    const sessionData = {
-      session: `Session_${new Date().toISOString().split('T')[0]}`,
-      date: new Date().toISOString(),
-      tabCount: tabs.length,
-      tabs: tabs.map(tab => ({
-        url: tab.url,
-        title: tab.title,
-        group: (tab.groupId !== -1 && groups[tab.groupId]) ? groups[tab.groupId].title : null,
-        color: (tab.groupId !== -1 && groups[tab.groupId]) ? groups[tab.groupId].color : null
-      }))
-    };
+    const sessionData = allWindows ? await captureAllWindowsSession() : await captureCurrentWindowSession();
+    
+    if (toBookmarks) {
+      const { folder, groupCount } = await saveSessionToBookmarks(sessionData);
+      await loadBookmarkSessionList();
+      
+      const groupMsg = groupCount > 0 ? ` in ${groupCount} group folders` : '';
+      statusDiv.textContent = `✓ Saved ${sessionData.tabCount} tabs${groupMsg} to bookmarks: ${folder.title}`;
+      statusDiv.className = 'status success';
+      
+      setTimeout(() => {
+        statusDiv.textContent = '';
+        statusDiv.className = 'status';
+      }, 3000);
+      return;
+    }
     
-    // Create and download JSON file
-    const jsonString = JSON.stringify(sessionData, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
+    let content = await format.serialize(sessionData);
+    let fileType = format.mimeType;
+    let fileExtension = format.extension;
+    
+    if (encrypt) {
+      content = await encryptSessionText(content, passphrase, format.id);
+      fileType = 'application/json';
+      fileExtension = 'encrypted.json';
+    }
+    
+    // Create and download the file
+    const blob = new Blob([content], { type: fileType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `tabs_${new Date().toISOString().split('T')[0]}_${Date.now()}.json`;
+    a.download = `tabs_${new Date().toISOString().split('T')[0]}_${Date.now()}.${fileExtension}`;
     a.click();
     URL.revokeObjectURL(url);
     
-    statusDiv.textContent = `✓ Exported ${tabs.length} tabs to JSON!`;
+    const windowMsg = allWindows ? ` from ${sessionData.windows.length} windows` : '';
+    const encryptMsg = encrypt ? ' (encrypted)' : '';
+    statusDiv.textContent = `✓ Exported ${sessionData.tabCount} tabs${windowMsg} as ${format.label}${encryptMsg}!`;
     statusDiv.className = 'status success';
     
     setTimeout(() => {
@@ -306,11 +450,105 @@ document.getElementById('exportSession').addEventListener('click', async () => {
   }
 });
 
-// Import session from JSON file
+// Import session from a file (format is detected from its contents)
+document.getElementById('encryptExport').addEventListener('change', (event) => {
+  document.getElementById('exportPassphraseFields').classList.toggle('hidden', !event.target.checked);
+});
+
 document.getElementById('importSession').addEventListener('click', () => {
   document.getElementById('fileInput').click();
 });
 
+// Show the per-tab import report below the session status
+function renderImportReport(report, migratedFrom) {
+  const reportDiv = document.getElementById('sessionReport');
+  reportDiv.innerHTML = '';
+  
+  if (report.length === 0 && !migratedFrom) {
+    reportDiv.classList.add('hidden');
+    return;
+  }
+  
+  const title = document.createElement('div');
+  title.className = 'list-title';
+  const skipped = report.filter(entry => entry.skipped).length;
+  const migratedMsg = migratedFrom ? ` • migrated from version ${migratedFrom}` : '';
+  title.textContent = `Import report: ${skipped} skipped, ${report.length - skipped} with warnings${migratedMsg}`;
+  reportDiv.appendChild(title);
+  
+  if (report.length > 0) {
+    const list = document.createElement('ul');
+    report.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = entry.skipped ? 'report-skipped' : 'report-warning';
+      li.textContent = `${entry.skipped ? '✗' : '⚠'} Tab ${entry.index + 1}: ${entry.reason}`;
+      li.title = entry.url || '(no URL)';
+      list.appendChild(li);
+    });
+    reportDiv.appendChild(list);
+  }
+  
+  reportDiv.classList.remove('hidden');
+}
+
+// Parse imported file text and show its tabs in the restore preview
+async function importSessionText(text, fileName, formatId) {
+  // Headerless CSV can only be recognized by its file extension
+  if (!formatId && /\.csv$/i.test(fileName) && detectTabFormat(text).id !== 'csv') {
+    formatId = 'csv';
+  }
+  const { format, sessionData: parsed } = await parseTabList(text, formatId);
+  console.log('Detected format:', format.id);
+  
+  await previewSessionImport(parsed, format.label);
+}
+
+// Validate imported session data and show its tabs in the restore preview.
+// `sourceLabel` names where the tabs came from in status messages.
+async function previewSessionImport(parsed, sourceLabel) {
+  const statusDiv = document.getElementById('sessionStatus');
+  
+  const { sessionData, report, migratedFrom } = prepareSessionImport(parsed);
+  const totalTabs = sessionData.tabs.length + report.filter(entry => entry.skipped).length;
+  console.log('Total tabs to import:', totalTabs);
+  
+  statusDiv.textContent = `Review ${totalTabs} tabs from ${sourceLabel} below`;
+  
+  await showRestorePreview(sessionData, report, async (selectedSession) => {
+    try {
+      statusDiv.textContent = `Opening ${selectedSession.tabs.length} tabs...`;
+      statusDiv.className = 'status';
+      
+      const result = await runRestore(selectedSession);
+      const openedCount = result.openedCount;
+      const fullReport = [...report, ...result.report].sort((a, b) => a.index - b.index);
+      const skippedCount = fullReport.filter(entry => entry.skipped).length;
+      renderImportReport(fullReport, migratedFrom);
+      
+      console.log('Total opened:', openedCount, 'of', totalTabs);
+      
+      if (openedCount === 0) {
+        statusDiv.textContent = '✗ No tabs opened! See the import report below';
+        statusDiv.className = 'status error';
+        return;
+      }
+      
+      const msg = skippedCount > 0 ? ` (${skippedCount} skipped)` : '';
+      const cancelMsg = result.cancelled ? ' (cancelled)' : '';
+      statusDiv.textContent = `✓ Imported ${openedCount}/${totalTabs} tabs${msg}${cancelMsg}!`;
+      statusDiv.className = 'status success';
+      
+      setTimeout(() => {
+        statusDiv.textContent = '';
+        statusDiv.className = 'status';
+      }, 3000);
+    } catch (error) {
+      statusDiv.textContent = `✗ Error: ${error.message}`;
+      statusDiv.className = 'status error';
+    }
+  });
+}
+
 document.getElementById('fileInput').addEventListener('change', async (event) => {
   const statusDiv = document.getElementById('sessionStatus');
   const file = event.target.files[0];
@@ -321,142 +559,518 @@ document.getElementById('fileInput').addEventListener('change', async (event) =>
     // Read the JSON file
     statusDiv.textContent = 'Loading file...';
     statusDiv.className = 'status';
+    renderImportReport([], null);
     
     const text = await file.text();
     console.log('File loaded, length:', text.length);
     
-    const sessionData = JSON.parse(text);
-    console.log('JSON parsed:', sessionData);
+    // Reset file input
+    event.target.value = '';
     
-    if (!sessionData.tabs || !Array.isArray(sessionData.tabs)) {
-      throw new Error('Invalid JSON format - missing tabs array');
+    // Encrypted exports need the passphrase before they can be parsed
+    const envelope = parseEncryptedEnvelope(text);
+    if (envelope) {
+      showPassphrasePrompt(envelope, file.name);
+      statusDiv.textContent = '🔒 Encrypted file - enter its passphrase';
+      return;
     }
     
-    const totalTabs = sessionData.tabs.length;
-    console.log('Total tabs in file:', totalTabs);
-    
-    statusDiv.textContent = `Found ${totalTabs} tabs, opening...`;
-    
-    // Group tabs by their group
-    const groupMap = new Map();
-    const ungroupedTabs = [];
-    let skippedCount = 0;
+    await importSessionText(text, file.name);
     
-    sessionData.tabs.forEach((tab, index) => {
-      // Validate URL exists and is valid
-      if (!tab.url || typeof tab.url !== 'string') {
-        console.warn('Skipping tab', index, '- no URL:', tab);
-        skippedCount++;
-        return;
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+    event.target.value = '';
+  }
+});
+
+// ==================== BOOKMARK FOLDERS ====================
+
+// Sessions are saved as dated folders inside this bookmark folder
+const BOOKMARK_ROOT_TITLE = 'Tab Manager Sessions';
+
+// Group subfolders are named "Title (color)"
+const BOOKMARK_GROUP_PATTERN = new RegExp(`^(.*) \\((${TAB_GROUP_COLORS.join('|')})\\)$`);
+
+// Find the folder holding saved sessions, creating it in "Other bookmarks" if asked
+async function getBookmarkRootFolder(create = false) {
+  const matches = await chrome.bookmarks.search({ title: BOOKMARK_ROOT_TITLE });
+  const folder = matches.find(node => !node.url);
+  if (folder || !create) return folder || null;
+  return chrome.bookmarks.create({ title: BOOKMARK_ROOT_TITLE });
+}
+
+function formatBookmarkDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Write a session into a dated bookmark folder with one subfolder per tab group
+async function saveSessionToBookmarks(sessionData) {
+  const root = await getBookmarkRootFolder(true);
+  const folder = await chrome.bookmarks.create({
+    parentId: root.id,
+    title: `${sessionData.session} - ${formatBookmarkDate(new Date(sessionData.date))}`
+  });
+  
+  // Tabs and group subfolders are created in tab strip order
+  const groupFolders = new Map();
+  for (const tab of sessionData.tabs) {
+    let parentId = folder.id;
+    if (tab.group && tab.color) {
+      const key = `${tab.group}|${tab.color}`;
+      if (!groupFolders.has(key)) {
+        const groupFolder = await chrome.bookmarks.create({
+          parentId: folder.id,
+          title: `${tab.group} (${tab.color})`
+        });
+        groupFolders.set(key, groupFolder.id);
       }
-      if (!tab.url.startsWith('http://') && !tab.url.startsWith('https://') && !tab.url.startsWith('file://')) {
-        console.warn('Skipping tab', index, '- invalid URL:', tab.url);
-        skippedCount++;
+      parentId = groupFolders.get(key);
+    }
+    await chrome.bookmarks.create({ parentId, title: tab.title || tab.url, url: tab.url });
+  }
+  
+  return { folder, groupCount: groupFolders.size };
+}
+
+// Read a bookmark folder back into session data. Like the bookmarks HTML
+// importer, each link joins the group of its nearest folder and folders
+// without a "(color)" suffix become grey groups.
+async function readSessionFromBookmarks(folderId) {
+  const [folder] = await chrome.bookmarks.getSubTree(folderId);
+  const tabs = [];
+  const groups = [];
+  
+  const walk = (node, group) => {
+    (node.children || []).forEach(child => {
+      if (child.url) {
+        tabs.push({
+          url: child.url,
+          title: child.title,
+          group: group ? group.title : null,
+          color: group ? group.color : null
+        });
         return;
       }
-      
-      if (tab.group && tab.color) {
-        const key = `${tab.group}|${tab.color}`;
-        if (!groupMap.has(key)) {
-          groupMap.set(key, []);
-        }
-        groupMap.get(key).push(tab);
-      } else {
-        ungroupedTabs.push(tab);
+      const match = BOOKMARK_GROUP_PATTERN.exec(child.title);
+      const childGroup = match ? { title: match[1], color: match[2] } : { title: child.title, color: 'grey' };
+      if (!groups.some(g => g.title === childGroup.title && g.color === childGroup.color)) {
+        groups.push({ ...childGroup, collapsed: false });
       }
+      walk(child, childGroup);
     });
+  };
+  walk(folder, null);
+  
+  return {
+    version: SESSION_SCHEMA_VERSION,
+    session: folder.title,
+    date: new Date(folder.dateAdded || Date.now()).toISOString(),
+    tabCount: tabs.length,
+    groups,
+    tabs
+  };
+}
+
+// Fill the bookmark folder dropdown, newest first
+async function loadBookmarkSessionList() {
+  const select = document.getElementById('bookmarkFolderSelect');
+  const root = await getBookmarkRootFolder();
+  const folders = root
+    ? (await chrome.bookmarks.getChildren(root.id)).filter(node => !node.url).reverse()
+    : [];
+  
+  select.innerHTML = '';
+  if (folders.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No bookmark sessions yet';
+    select.appendChild(option);
+  }
+  folders.forEach(folder => {
+    const option = document.createElement('option');
+    option.value = folder.id;
+    option.textContent = folder.title;
+    select.appendChild(option);
+  });
+  document.getElementById('restoreBookmarks').disabled = folders.length === 0;
+}
+
+document.getElementById('restoreBookmarks').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('sessionStatus');
+  const folderId = document.getElementById('bookmarkFolderSelect').value;
+  if (!folderId) return;
+  
+  try {
+    renderImportReport([], null);
+    const sessionData = await readSessionFromBookmarks(folderId);
     
-    console.log('Ungrouped tabs:', ungroupedTabs.length);
-    console.log('Groups:', groupMap.size);
-    console.log('Skipped tabs:', skippedCount);
+    if (sessionData.tabs.length === 0) {
+      statusDiv.textContent = '✗ This bookmark folder has no links!';
+      statusDiv.className = 'status error';
+      return;
+    }
     
-    let openedCount = 0;
-    const devMode = document.getElementById('devMode').checked;
+    await previewSessionImport(sessionData, 'bookmarks');
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+});
+
+loadBookmarkSessionList();
+
+// ==================== ENCRYPTED IMPORT ====================
+
+// Envelope waiting for its passphrase: { envelope, fileName }
+let pendingEncryptedImport = null;
+
+function showPassphrasePrompt(envelope, fileName) {
+  pendingEncryptedImport = { envelope, fileName };
+  const input = document.getElementById('importPassphrase');
+  input.value = '';
+  document.getElementById('passphrasePrompt').classList.remove('hidden');
+  input.focus();
+}
+
+function hidePassphrasePrompt() {
+  pendingEncryptedImport = null;
+  document.getElementById('importPassphrase').value = '';
+  document.getElementById('passphrasePrompt').classList.add('hidden');
+}
+
+async function decryptPendingImport() {
+  if (!pendingEncryptedImport) return;
+  const statusDiv = document.getElementById('sessionStatus');
+  const input = document.getElementById('importPassphrase');
+  const { envelope, fileName } = pendingEncryptedImport;
+  
+  try {
+    statusDiv.textContent = 'Decrypting...';
+    statusDiv.className = 'status';
     
-    if (devMode) {
-      console.log('🛠️ DEV MODE: Simulating tab operations (not actually opening)');
-    }
+    const { text, contentFormat } = await decryptSessionEnvelope(envelope, input.value);
+    hidePassphrasePrompt();
+    await importSessionText(text, fileName, getTabFormat(contentFormat) ? contentFormat : undefined);
     
-    // Open ungrouped tabs
-    for (const tab of ungroupedTabs) {
-      try {
-        console.log('Opening ungrouped tab:', tab.url);
-        if (!devMode) {
-          await chrome.tabs.create({ url: tab.url, active: false });
-        }
-        openedCount++;
-      } catch (err) {
-        console.error('Failed to open tab:', tab.url, err);
+  } catch (error) {
+    // Keep the prompt open so another passphrase can be tried
+    input.value = '';
+    input.focus();
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+}
+
+document.getElementById('decryptImport').addEventListener('click', decryptPendingImport);
+
+document.getElementById('importPassphrase').addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') decryptPendingImport();
+});
+
+document.getElementById('cancelDecrypt').addEventListener('click', () => {
+  const statusDiv = document.getElementById('sessionStatus');
+  hidePassphrasePrompt();
+  statusDiv.textContent = '';
+  statusDiv.className = 'status';
+});
+
+// ==================== SESSION LIBRARY ====================
+
+function showLibraryStatus(message, type) {
+  const statusDiv = document.getElementById('libraryStatus');
+  statusDiv.textContent = message;
+  statusDiv.className = type ? `status ${type}` : 'status';
+  
+  if (type === 'success') {
+    setTimeout(() => {
+      statusDiv.textContent = '';
+      statusDiv.className = 'status';
+    }, 3000);
+  }
+}
+
+function renderSessionPreview(entry) {
+  const previewDiv = document.getElementById('libraryPreview');
+  previewDiv.innerHTML = '';
+  
+  const title = document.createElement('div');
+  title.className = 'list-title';
+  title.textContent = `${entry.session} • ${entry.tabCount} tabs`;
+  previewDiv.appendChild(title);
+  
+  const list = document.createElement('ul');
+  entry.tabs.forEach(tab => {
+    const li = document.createElement('li');
+    const groupLabel = tab.group ? `[${tab.group}] ` : '';
+    li.textContent = `${groupLabel}${tab.title || tab.url}`;
+    li.title = tab.url;
+    list.appendChild(li);
+  });
+  previewDiv.appendChild(list);
+  previewDiv.classList.remove('hidden');
+}
+
+// Library updates wait while a name is being edited so the input is not replaced
+let sessionRenameActive = false;
+
+function startSessionRename(item, entry) {
+  sessionRenameActive = true;
+  const nameEl = item.querySelector('.session-name');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'session-rename-input';
+  input.value = entry.session;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+  
+  let done = false;
+  const commit = async (save) => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    try {
+      if (save && name && name !== entry.session) {
+        await renameSavedSession(entry.id, name);
+        showLibraryStatus(`✓ Renamed to "${name}"`, 'success');
       }
+    } finally {
+      sessionRenameActive = false;
+      renderSessionLibrary();
     }
-    
-    // Open grouped tabs
-    for (const [key, tabs] of groupMap.entries()) {
-      const [groupTitle, groupColor] = key.split('|');
-      const tabIds = [];
-      
-      console.log(`Opening group "${groupTitle}" with ${tabs.length} tabs`);
-      
-      for (const tab of tabs) {
-        try {
-          console.log('Opening grouped tab:', tab.url);
-          if (!devMode) {
-            const newTab = await chrome.tabs.create({ url: tab.url, active: false });
-            tabIds.push(newTab.id);
-          } else {
-            // Simulate tab ID in dev mode
-            tabIds.push(1000 + openedCount);
-          }
-          openedCount++;
-        } catch (err) {
-          console.error('Failed to open tab:', tab.url, err);
-        }
-      }
-      
-      if (tabIds.length > 0 && !devMode) {
+  };
+  const handleRenameError = (error) => showLibraryStatus(`✗ Error: ${error.message}`, 'error');
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') commit(true).catch(handleRenameError);
+    if (e.key === 'Escape') commit(false).catch(handleRenameError);
+  });
+  input.addEventListener('blur', () => commit(true).catch(handleRenameError));
+}
+
+async function handleSessionAction(action, entry, item) {
+  if (action === 'restore') {
+    showLibraryStatus(`Restoring "${entry.session}"...`);
+    const { openedCount, skippedCount, cancelled } = await runRestore(entry);
+    const msg = (skippedCount > 0 ? ` (${skippedCount} skipped)` : '') + (cancelled ? ' (cancelled)' : '');
+    showLibraryStatus(`✓ Restored ${openedCount}/${entry.tabs.length} tabs${msg}`, 'success');
+  } else if (action === 'preview') {
+    renderSessionPreview(entry);
+  } else if (action === 'rename') {
+    startSessionRename(item, entry);
+  } else if (action === 'delete') {
+    await deleteSavedSession(entry.id);
+    document.getElementById('libraryPreview').classList.add('hidden');
+    showLibraryStatus(`✓ Deleted "${entry.session}"`, 'success');
+    renderSessionLibrary();
+  }
+}
+
+async function renderSessionLibrary() {
+  const listDiv = document.getElementById('sessionLibraryList');
+  const sessions = await getSavedSessions();
+  listDiv.innerHTML = '';
+  
+  if (sessions.length === 0) {
+    listDiv.innerHTML = '<div class="no-results">No saved sessions yet</div>';
+    return;
+  }
+  
+  sessions.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+    
+    const info = document.createElement('div');
+    info.className = 'session-info';
+    const name = document.createElement('div');
+    name.className = 'session-name';
+    name.textContent = entry.session;
+    const meta = document.createElement('div');
+    meta.className = 'session-meta';
+    meta.textContent = `${entry.tabCount} tabs • ${new Date(entry.date).toLocaleString()}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+    item.appendChild(info);
+    
+    const actions = [
+      { action: 'restore', label: '↺', title: 'Restore session' },
+      { action: 'preview', label: '👁', title: 'Preview tabs' },
+      { action: 'rename', label: '✎', title: 'Rename session' },
+      { action: 'delete', label: '✕', title: 'Delete session' }
+    ];
+    actions.forEach(({ action, label, title }) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-icon session-action';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', async () => {
         try {
-          const groupId = await chrome.tabs.group({ tabIds });
-          await chrome.tabGroups.update(groupId, {
-            title: groupTitle,
-            color: groupColor
-          });
-          console.log(`Created group "${groupTitle}" with ${tabIds.length} tabs`);
-        } catch (err) {
-          console.error('Failed to create group:', groupTitle, err);
+          await handleSessionAction(action, entry, item);
+        } catch (error) {
+          showLibraryStatus(`✗ Error: ${error.message}`, 'error');
         }
-      } else if (tabIds.length > 0) {
-        console.log(`🛠️ DEV: Would create group "${groupTitle}" with ${tabIds.length} tabs`);
-      }
-    }
+      });
+      item.appendChild(btn);
+    });
+    
+    listDiv.appendChild(item);
+  });
+}
+
+document.getElementById('saveToLibrary').addEventListener('click', async () => {
+  const nameInput = document.getElementById('sessionNameInput');
+  
+  try {
+    const sessionData = await captureCurrentWindowSession(nameInput.value.trim());
+    await saveSessionToLibrary(sessionData);
+    nameInput.value = '';
+    showLibraryStatus(`✓ Saved "${sessionData.session}" (${sessionData.tabCount} tabs)`, 'success');
+    renderSessionLibrary();
+  } catch (error) {
+    showLibraryStatus(`✗ Error: ${error.message}`, 'error');
+  }
+});
+
+document.getElementById('sessionNameInput').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    document.getElementById('saveToLibrary').click();
+  }
+});
+
+// Load saved sessions on popup open
+renderSessionLibrary();
+
+// ==================== SESSION SYNC ====================
+
+function formatSyncBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function renderSyncStatus() {
+  const statusDiv = document.getElementById('syncStatus');
+  const enabled = await isSessionSyncEnabled();
+  const data = await chrome.storage.local.get(SYNC_STATE_KEY);
+  const state = data[SYNC_STATE_KEY];
+  
+  document.getElementById('syncSessions').checked = enabled;
+  document.getElementById('syncNow').disabled = !enabled;
+  
+  // Quota use of the whole sync area
+  const { total } = getSyncQuota();
+  const used = await chrome.storage.sync.getBytesInUse(null);
+  const percent = Math.min(100, Math.round((used / total) * 100));
+  const bar = document.getElementById('syncQuotaBar');
+  bar.style.width = `${percent}%`;
+  bar.classList.toggle('full', percent >= 90);
+  
+  const quotaMsg = `${formatSyncBytes(used)} of ${formatSyncBytes(total)} used (${percent}%)`;
+  let stateMsg = 'Sync is off';
+  if (enabled && state && state.error) {
+    stateMsg = `✗ ${state.error}`;
+  } else if (enabled && state && state.lastSync) {
+    stateMsg = `✓ Synced ${new Date(state.lastSync).toLocaleTimeString()}`;
+  } else if (enabled) {
+    stateMsg = 'Waiting for first sync...';
+  }
+  
+  statusDiv.textContent = `${stateMsg} • ${quotaMsg}`;
+  statusDiv.className = `sync-status${enabled && state && state.error ? ' error' : ''}`;
+  
+  if (enabled && state && state.skipped && state.skipped.length > 0) {
+    const skipped = document.createElement('div');
+    skipped.className = 'sync-skipped';
+    skipped.textContent = `Not synced (no room): ${state.skipped.join(', ')}`;
+    statusDiv.appendChild(skipped);
+  }
+}
+
+async function requestSessionSync() {
+  document.getElementById('syncStatus').textContent = 'Syncing...';
+  await chrome.runtime.sendMessage({ action: 'syncSessions' });
+  renderSyncStatus();
+}
+
+document.getElementById('syncSessions').addEventListener('change', async (event) => {
+  // The background syncs as soon as the setting changes
+  await chrome.storage.local.set({ [SYNC_ENABLED_KEY]: event.target.checked });
+  renderSyncStatus();
+});
+
+document.getElementById('syncNow').addEventListener('click', () => {
+  requestSessionSync().catch(error => console.error('Error syncing sessions:', error));
+});
+
+// Refresh when the background finishes a sync or pulls sessions from another machine
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[SYNC_STATE_KEY]) renderSyncStatus();
+  if (changes[SESSION_LIBRARY_KEY] && !sessionRenameActive) renderSessionLibrary();
+});
+
+// Pull anything synced while the popup was closed
+isSessionSyncEnabled().then(enabled => enabled ? requestSessionSync() : renderSyncStatus())
+  .catch(error => console.error('Error loading sync status:', error));
+
+// ==================== SESSION SNAPSHOTS ====================
+
+const SNAPSHOT_KEY = 'sessionSnapshots';
+
+async function loadSnapshotList() {
+  const select = document.getElementById('snapshotSelect');
+  const restoreBtn = document.getElementById('restoreSnapshot');
+  const data = await chrome.storage.local.get(SNAPSHOT_KEY);
+  const snapshots = data[SNAPSHOT_KEY] || [];
+  
+  select.innerHTML = '';
+  if (snapshots.length === 0) {
+    const option = document.createElement('option');
+    option.textContent = 'No snapshots yet';
+    select.appendChild(option);
+  }
+  snapshots.forEach((snapshot, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    const label = index === 0 ? 'Last snapshot' : new Date(snapshot.date).toLocaleString();
+    option.textContent = `${label} • ${snapshot.tabCount} tabs`;
+    select.appendChild(option);
+  });
+  
+  select.disabled = snapshots.length === 0;
+  restoreBtn.disabled = snapshots.length === 0;
+}
+
+document.getElementById('restoreSnapshot').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('snapshotStatus');
+  const index = parseInt(document.getElementById('snapshotSelect').value, 10) || 0;
+  
+  try {
+    const data = await chrome.storage.local.get(SNAPSHOT_KEY);
+    const snapshot = (data[SNAPSHOT_KEY] || [])[index];
+    if (!snapshot) throw new Error('Snapshot not found');
     
-    console.log('Total opened:', openedCount, 'of', totalTabs);
+    statusDiv.textContent = `Restoring ${snapshot.tabCount} tabs...`;
+    statusDiv.className = 'status';
     
-    if (openedCount === 0) {
-      statusDiv.textContent = `✗ No tabs opened! Check console (F12) for details`;
-      statusDiv.className = 'status error';
-    } else {
-      const msg = skippedCount > 0 ? ` (${skippedCount} skipped)` : '';
-      const devMsg = devMode ? ' [DEV MODE - SIMULATED]' : '';
-      statusDiv.textContent = `✓ ${devMode ? 'Simulated' : 'Imported'} ${openedCount}/${totalTabs} tabs${msg}${devMsg}!`;
-      statusDiv.className = 'status success';
-    }
+    const { openedCount, skippedCount, cancelled } = await runRestore(snapshot);
+    const msg = (skippedCount > 0 ? ` (${skippedCount} skipped)` : '') + (cancelled ? ' (cancelled)' : '');
+    statusDiv.textContent = `✓ Restored ${openedCount}/${snapshot.tabs.length} tabs${msg}`;
     statusDiv.className = 'status success';
     
-    // Reset file input
-    event.target.value = '';
-    
     setTimeout(() => {
       statusDiv.textContent = '';
       statusDiv.className = 'status';
     }, 3000);
-    
   } catch (error) {
     statusDiv.textContent = `✗ Error: ${error.message}`;
     statusDiv.className = 'status error';
-    event.target.value = '';
   }
 });
 
+loadSnapshotList();
+
 document.getElementById('scanPrivacy').addEventListener('click', async () => {
   const statusDiv = document.getElementById('privacyStatus');
   const summaryCard = document.getElementById('privacySummary');
@@ -591,38 +1205,252 @@ document.getElementById('scanPrivacy').addEventListener('click', async () => {
   }
 });
 
-// Close duplicate tabs
-document.getElementById('closeDuplicates').addEventListener('click', async () => {
-  const statusDiv = document.getElementById('duplicateStatus');
+// ==================== UNDO JOURNAL ====================
+
+// Record each window's tab order, pinned state and groups before a bulk
+// operation (the current window unless `windowId` or `windowIds` is given).
+// Tabs in `closedTabIds` are reopened when the step is undone.
+async function recordUndoStep(label, { windowId, windowIds, closedTabIds = [] } = {}) {
+  if (!windowIds) windowIds = [windowId || (await chrome.windows.getCurrent()).id];
+  
+  const windows = [];
+  for (const windowId of windowIds) {
+    const tabs = await chrome.tabs.query({ windowId });
+    if (tabs.length === 0) continue;
+    const groups = await getTabGroupsById({ windowId });
+    windows.push({
+      windowId,
+      tabs: tabs.map(tab => ({
+        id: tab.id,
+        url: resolvePlaceholderUrl(tab.url),
+        index: tab.index,
+        pinned: tab.pinned,
+        groupId: tab.groupId,
+        group: groups[tab.groupId] || null,
+        closed: closedTabIds.includes(tab.id)
+      }))
+    });
+  }
+  if (windows.length === 0) return;
   
+  const journal = await getUndoJournal();
+  journal.unshift({ label, date: Date.now(), windows });
+  await chrome.storage.local.set({ [UNDO_JOURNAL_KEY]: journal.slice(0, UNDO_JOURNAL_LIMIT) });
+  renderUndoBar();
+}
+
+// Put a window back into the layout recorded by recordUndoStep.
+// Tabs closed since the step was recorded are left closed.
+async function restoreTabLayout(windowLayout) {
+  let windowId = windowLayout.windowId;
   try {
-    // Get all tabs in the current window
-    const tabs = await chrome.tabs.query({ currentWindow: true });
+    await chrome.windows.get(windowId);
+  } catch (e) {
+    windowId = (await chrome.windows.getCurrent()).id;
+  }
+  
+  const openTabs = new Map((await chrome.tabs.query({ windowId })).map(tab => [tab.id, tab]));
+  const layout = [];
+  let reopenedCount = 0;
+  
+  for (const saved of windowLayout.tabs) {
+    if (saved.closed) {
+      const tab = await chrome.tabs.create({ windowId, url: saved.url, pinned: saved.pinned, active: false });
+      layout.push({ tabId: tab.id, saved });
+      reopenedCount++;
+    } else if (openTabs.has(saved.id)) {
+      layout.push({ tabId: saved.id, saved });
+    }
+  }
+  
+  // Ungroup first so moves are not pulled into neighbouring groups
+  const grouped = layout.filter(({ tabId }) => openTabs.has(tabId) && openTabs.get(tabId).groupId !== -1);
+  if (grouped.length > 0) {
+    await chrome.tabs.ungroup(grouped.map(({ tabId }) => tabId));
+  }
+  
+  // Pinned state before order, since pinning moves a tab
+  for (const { tabId, saved } of layout) {
+    const current = openTabs.get(tabId);
+    if (current && current.pinned !== saved.pinned) {
+      await chrome.tabs.update(tabId, { pinned: saved.pinned });
+    }
+  }
+  
+  for (let i = 0; i < layout.length; i++) {
+    await chrome.tabs.move(layout[i].tabId, { windowId, index: i });
+  }
+  
+  // Recreate the groups in their saved order
+  const groups = new Map();
+  layout.forEach(({ tabId, saved }) => {
+    if (!saved.group || saved.pinned) return;
+    if (!groups.has(saved.groupId)) groups.set(saved.groupId, { group: saved.group, tabIds: [] });
+    groups.get(saved.groupId).tabIds.push(tabId);
+  });
+  for (const { group, tabIds } of groups.values()) {
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+  }
+  
+  return { restoredCount: layout.length, reopenedCount, missingCount: windowLayout.tabs.length - layout.length };
+}
+
+function formatStepAge(date) {
+  const minutes = Math.round((Date.now() - date) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(date).toLocaleString();
+}
+
+async function renderUndoBar() {
+  const bar = document.getElementById('undoBar');
+  const journal = await getUndoJournal();
+  bar.classList.toggle('hidden', journal.length === 0);
+  if (journal.length === 0) return;
+  
+  const more = journal.length > 1 ? ` (+${journal.length - 1} more)` : '';
+  document.getElementById('undoLabel').textContent = `${journal[0].label}, ${formatStepAge(journal[0].date)}${more}`;
+}
+
+document.getElementById('undoLastAction').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('undoStatus');
+  
+  try {
+    const journal = await getUndoJournal();
+    const step = journal.shift();
+    if (!step) return;
+    
+    // Drop the step first so a failing undo cannot block the ones before it
+    await chrome.storage.local.set({ [UNDO_JOURNAL_KEY]: journal });
+    await pauseDuplicateGuard();
+    let reopenedCount = 0;
+    let missingCount = 0;
+    for (const windowLayout of step.windows) {
+      const result = await restoreTabLayout(windowLayout);
+      reopenedCount += result.reopenedCount;
+      missingCount += result.missingCount;
+    }
     
-    // Track URLs and find duplicates
-    const urlMap = new Map();
-    const duplicatesToClose = [];
+    const reopenMsg = reopenedCount > 0 ? `, reopened ${reopenedCount} tabs` : '';
+    const missingMsg = missingCount > 0 ? ` (${missingCount} tabs no longer open)` : '';
+    statusDiv.textContent = `✓ Undid "${step.label}"${reopenMsg}${missingMsg}`;
+    statusDiv.className = 'status success';
     
-    tabs.forEach(tab => {
-      if (urlMap.has(tab.url)) {
-        // This is a duplicate - mark for closing
-        duplicatesToClose.push(tab.id);
-      } else {
-        // First occurrence - keep it
-        urlMap.set(tab.url, tab.id);
-      }
+    setTimeout(() => {
+      statusDiv.textContent = '';
+      statusDiv.className = 'status';
+    }, 3000);
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+  
+  renderUndoBar();
+  updateTabStatistics();
+});
+
+renderUndoBar();
+
+// ==================== DUPLICATE TABS ====================
+
+const DUPLICATE_RULE_OPTIONS = {
+  normStripTracking: 'stripTracking',
+  normIgnoreFragment: 'ignoreFragment',
+  normIgnoreTrailingSlash: 'ignoreTrailingSlash',
+  normIgnoreScheme: 'ignoreScheme',
+  normIgnoreWww: 'ignoreWww'
+};
+
+async function initDuplicateRules() {
+  const rules = await getUrlNormalizeRules();
+  Object.entries(DUPLICATE_RULE_OPTIONS).forEach(([elementId, option]) => {
+    document.getElementById(elementId).checked = rules[option];
+  });
+  document.getElementById('normRewrites').value = formatUrlRewrites(rules.rewrites);
+}
+
+// Save the matching rules from the form; invalid rewrites are reported and not saved
+async function saveDuplicateRules() {
+  const statusDiv = document.getElementById('duplicateStatus');
+  try {
+    const rules = { rewrites: parseUrlRewrites(document.getElementById('normRewrites').value) };
+    Object.entries(DUPLICATE_RULE_OPTIONS).forEach(([elementId, option]) => {
+      rules[option] = document.getElementById(elementId).checked;
+    });
+    await setUrlNormalizeRules(rules);
+    statusDiv.textContent = '';
+    statusDiv.className = 'status';
+    
+    if (!document.getElementById('duplicatePreview').classList.contains('hidden')) {
+      await previewDuplicates();
+    }
+  } catch (error) {
+    statusDiv.textContent = `✗ ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+}
+
+async function getDuplicateTabs() {
+  const allWindows = document.getElementById('duplicatesAllWindows').checked;
+  const tabs = await chrome.tabs.query(allWindows ? {} : { currentWindow: true });
+  return findDuplicateTabs(tabs, await getUrlNormalizeRules());
+}
+
+// List each set of duplicates with the tab that stays open
+async function previewDuplicates() {
+  const previewDiv = document.getElementById('duplicatePreview');
+  const allWindows = document.getElementById('duplicatesAllWindows').checked;
+  const duplicates = await getDuplicateTabs();
+  previewDiv.innerHTML = '';
+  
+  const title = document.createElement('div');
+  title.className = 'list-title';
+  const closeCount = duplicates.reduce((sum, set) => sum + set.close.length, 0);
+  title.textContent = duplicates.length === 0
+    ? 'No duplicate tabs found'
+    : `${closeCount} tabs would close, ${duplicates.length} kept`;
+  previewDiv.appendChild(title);
+  
+  const list = document.createElement('ul');
+  duplicates.forEach(({ keep, close }) => {
+    [keep, ...close].forEach(tab => {
+      const li = document.createElement('li');
+      const kept = tab === keep;
+      li.className = kept ? 'duplicate-keep' : 'duplicate-close';
+      const windowLabel = allWindows ? ` (window ${tab.windowId})` : '';
+      li.textContent = `${kept ? '✓ Keep' : '✕ Close'}: ${tab.title || tab.url}${windowLabel}`;
+      li.title = tab.url;
+      list.appendChild(li);
     });
+  });
+  previewDiv.appendChild(list);
+  previewDiv.classList.remove('hidden');
+}
+
+// Close duplicate tabs
+document.getElementById('closeDuplicates').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('duplicateStatus');
+  
+  try {
+    // Find duplicates by normalized URL in this window or all windows
+    const duplicates = await getDuplicateTabs();
+    const tabsToClose = duplicates.flatMap(set => set.close);
+    const duplicatesToClose = tabsToClose.map(tab => tab.id);
     
     if (duplicatesToClose.length === 0) {
       statusDiv.textContent = '✓ No duplicate tabs found!';
       statusDiv.className = 'status success';
     } else {
       // Close all duplicate tabs
+      const windowIds = [...new Set(tabsToClose.map(tab => tab.windowId))];
+      await recordUndoStep('Close duplicates', { windowIds, closedTabIds: duplicatesToClose });
       await chrome.tabs.remove(duplicatesToClose);
       
       statusDiv.textContent = `✓ Closed ${duplicatesToClose.length} duplicate tabs!`;
       statusDiv.className = 'status success';
     }
+    document.getElementById('duplicatePreview').classList.add('hidden');
     
     // Clear message after 3 seconds
     setTimeout(() => {
@@ -636,6 +1464,73 @@ document.getElementById('closeDuplicates').addEventListener('click', async () =>
   }
 });
 
+document.getElementById('previewDuplicates').addEventListener('click', async () => {
+  try {
+    await previewDuplicates();
+  } catch (error) {
+    const statusDiv = document.getElementById('duplicateStatus');
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+});
+
+document.getElementById('toggleDuplicateRules').addEventListener('click', () => {
+  document.getElementById('duplicateRules').classList.toggle('hidden');
+});
+
+document.getElementById('duplicatesAllWindows').addEventListener('change', () => {
+  if (!document.getElementById('duplicatePreview').classList.contains('hidden')) {
+    previewDuplicates();
+  }
+});
+
+Object.keys(DUPLICATE_RULE_OPTIONS).forEach(elementId => {
+  document.getElementById(elementId).addEventListener('change', saveDuplicateRules);
+});
+document.getElementById('normRewrites').addEventListener('change', saveDuplicateRules);
+
+initDuplicateRules();
+
+// ==================== DUPLICATE GUARD ====================
+
+// Tabs reopened on purpose (undo, recently closed) must not be closed as duplicates
+async function pauseDuplicateGuard() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'pauseDuplicateGuard' });
+  } catch (error) {
+    console.warn('Could not pause duplicate guard:', error);
+  }
+}
+
+async function initDuplicateGuard() {
+  const settings = await getDuplicateGuardSettings();
+  document.getElementById('guardEnabled').checked = settings.enabled;
+  document.getElementById('guardAction').value = settings.action;
+  document.getElementById('guardAllowlist').value = settings.allowlist.join('\n');
+  document.getElementById('guardOptions').classList.toggle('hidden', !settings.enabled);
+}
+
+async function saveDuplicateGuard() {
+  const enabled = document.getElementById('guardEnabled').checked;
+  const allowlist = document.getElementById('guardAllowlist').value
+    .split(/[\s,]+/)
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(domain => domain.length > 0);
+  
+  await setDuplicateGuardSettings({
+    enabled,
+    action: document.getElementById('guardAction').value,
+    allowlist
+  });
+  document.getElementById('guardOptions').classList.toggle('hidden', !enabled);
+}
+
+['guardEnabled', 'guardAction', 'guardAllowlist'].forEach(elementId => {
+  document.getElementById(elementId).addEventListener('change', saveDuplicateGuard);
+});
+
+initDuplicateGuard();
+
 // Initialize tab count on popup load
 updateTabCount();
 
@@ -1712,13 +2607,14 @@ async function scanNetworkForVideos() {
   }
 }
 
-// Event listeners for video downloader
-document.getElementById('scanNetworkVideos').addEventListener('click', scanNetworkForVideos);
-document.getElementById('detectVideo').addEventListener('click', detectVideoOnPage);
-document.getElementById('downloadVideo').addEventListener('click', downloadVideo);
+// Event listeners for video downloader. Its controls are not part of popup.html,
+// so a missing element must not stop the rest of this script from running.
+document.getElementById('scanNetworkVideos')?.addEventListener('click', scanNetworkForVideos);
+document.getElementById('detectVideo')?.addEventListener('click', detectVideoOnPage);
+document.getElementById('downloadVideo')?.addEventListener('click', downloadVideo);
 
 // Allow Enter key to trigger download
-document.getElementById('videoUrl').addEventListener('keypress', (e) => {
+document.getElementById('videoUrl')?.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
     downloadVideo();
   }
@@ -1771,6 +2667,8 @@ async function updateTabStatistics() {
     
     // Calculate statistics
     const pinnedTabs = allTabs.filter(tab => tab.pinned);
+    const discardedTabs = allTabs.filter(tab => tab.discarded);
+    const { [IDLE_DISCARD_STATE_KEY]: idleState } = await chrome.storage.local.get(IDLE_DISCARD_STATE_KEY);
     const domainCount = {};
     
     allTabs.forEach(tab => {
@@ -1799,6 +2697,8 @@ async function updateTabStatistics() {
     document.getElementById('statPinnedTabs').textContent = pinnedTabs.length;
     document.getElementById('statAvgTabs').textContent = 
       allWindows.length > 0 ? Math.round(allTabs.length / allWindows.length) : 0;
+    document.getElementById('statDiscardedTabs').textContent = `${discardedTabs.length} / ${allTabs.length}`;
+    document.getElementById('statIdleDiscards').textContent = idleState ? idleState.totalDiscarded : 0;
     
     // Highlight pinned tabs stat card if there are pinned tabs
     const pinnedStatCard = document.getElementById('statPinnedTabs')?.closest('.stat-card');
@@ -1831,6 +2731,8 @@ async function updateTabStatistics() {
 // ==================== TAB SEARCH & FILTER ====================
 
 let searchResultTabs = [];
+// Tab IDs checked in the results; kept while they still match
+let selectedSearchTabIds = new Set();
 
 async function searchTabs() {
   const searchInput = document.getElementById('tabSearch');
@@ -1839,11 +2741,14 @@ async function searchTabs() {
   const resultsDiv = document.getElementById('searchResults');
   const statusDiv = document.getElementById('searchStatus');
   
-  const query = searchInput.value.toLowerCase().trim();
+  const query = searchInput.value.trim();
   
   if (!query && !filterPinned && !filterAudible) {
     resultsDiv.innerHTML = '';
     statusDiv.textContent = '';
+    searchResultTabs = [];
+    selectedSearchTabIds.clear();
+    renderBulkBar();
     return;
   }
   
@@ -1857,14 +2762,25 @@ async function searchTabs() {
     if (filterAudible) {
       tabs = tabs.filter(tab => tab.audible);
     }
+    // Page text snippets for tabs that matched through the content index
+    const snippets = {};
     if (query) {
-      tabs = tabs.filter(tab => 
-        tab.title.toLowerCase().includes(query) || 
-        tab.url.toLowerCase().includes(query)
-      );
+      // Best matches first; see tab-query.js for the query syntax
+      const context = await getTabQueryContext((await chrome.windows.getCurrent()).id);
+      const results = rankTabsByQuery(tabs, parseTabQuery(query), context);
+      results.forEach(({ tab, contentTerms }) => {
+        if (contentTerms.length === 0) return;
+        const snippet = getContentSnippet(context.contentIndex.entries[tab.id], contentTerms);
+        if (snippet) {
+          snippets[tab.id] = `${escapeHtml(snippet.before)}<mark>${escapeHtml(snippet.match)}</mark>${escapeHtml(snippet.after)}`;
+        }
+      });
+      tabs = results.map(result => result.tab);
     }
     
     searchResultTabs = tabs;
+    selectedSearchTabIds = new Set(tabs.filter(tab => selectedSearchTabIds.has(tab.id)).map(tab => tab.id));
+    renderBulkBar();
     
     if (tabs.length === 0) {
       resultsDiv.innerHTML = '<div class="no-results">No tabs found</div>';
@@ -1885,10 +2801,12 @@ async function searchTabs() {
       
       return `
         <div class="search-result-item ${pinnedClass}" data-tab-id="${tab.id}">
+          <input type="checkbox" class="result-select" data-tab-id="${tab.id}" ${selectedSearchTabIds.has(tab.id) ? 'checked' : ''}>
           <img src="${favicon}" class="tab-favicon" onerror="this.style.display='none'">
           <div class="tab-info">
             <div class="tab-title">${badges.join(' ')} ${title}</div>
             <div class="tab-url">${url}</div>
+            ${snippets[tab.id] ? `<div class="tab-snippet">${snippets[tab.id]}</div>` : ''}
           </div>
           ${pinnedBadge}
           <button class="btn-icon tab-action" data-action="goto" data-tab-id="${tab.id}" title="Go to tab">→</button>
@@ -1902,6 +2820,18 @@ async function searchTabs() {
       `Found ${tabs.length} tab${tabs.length > 1 ? 's' : ''}`;
     statusDiv.className = 'status success';
     
+    resultsDiv.querySelectorAll('.result-select').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const tabId = parseInt(checkbox.dataset.tabId);
+        if (checkbox.checked) {
+          selectedSearchTabIds.add(tabId);
+        } else {
+          selectedSearchTabIds.delete(tabId);
+        }
+        renderBulkBar();
+      });
+    });
+    
     // Add event listeners to action buttons
     document.querySelectorAll('.tab-action').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -1944,77 +2874,336 @@ if (clearSearchEl) {
   });
 }
 
-// ==================== TAB SORTING ====================
+// ==================== CONTENT INDEX ====================
 
-async function sortTabsByDomain() {
-  const statusDiv = document.getElementById('sortStatus');
+async function renderContentIndexStatus() {
+  const enabled = await isContentIndexEnabled();
+  const statusDiv = document.getElementById('contentIndexStatus');
+  document.getElementById('contentIndexEnabled').checked = enabled;
+  
+  if (!enabled) {
+    statusDiv.textContent = '';
+    return;
+  }
+  const index = await getContentSearchIndex();
+  const count = Object.keys(index.entries).length;
+  statusDiv.textContent = `${count} tab${count !== 1 ? 's' : ''} indexed`;
+}
+
+document.getElementById('contentIndexEnabled').addEventListener('change', async (e) => {
+  // The background indexes open tabs, or clears the index, when this changes
+  await chrome.storage.local.set({ [CONTENT_INDEX_ENABLED_KEY]: e.target.checked });
+  renderContentIndexStatus();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && Object.keys(changes).some(key => key.startsWith(CONTENT_INDEX_PREFIX))) {
+    renderContentIndexStatus();
+  }
+});
+
+renderContentIndexStatus();
+
+// ==================== BULK ACTIONS ====================
+
+function renderBulkBar() {
+  const bar = document.getElementById('searchBulkBar');
+  const count = selectedSearchTabIds.size;
+  const total = searchResultTabs.length;
+  bar.classList.toggle('hidden', total === 0);
+  
+  const selectAll = document.getElementById('selectAllMatches');
+  selectAll.checked = total > 0 && count === total;
+  selectAll.indeterminate = count > 0 && count < total;
+  document.getElementById('selectAllLabel').textContent = `Select all ${total} matches`;
+  document.getElementById('bulkSelectedCount').textContent = count > 0 ? `${count} selected` : '';
+  document.querySelectorAll('#searchBulkBar [data-bulk]').forEach(btn => {
+    btn.disabled = count === 0;
+  });
+  if (count === 0) document.getElementById('bulkGroupOptions').classList.add('hidden');
+}
+
+function showBulkStatus(message, isError = false) {
+  const statusDiv = document.getElementById('bulkStatus');
+  statusDiv.textContent = message;
+  statusDiv.className = isError ? 'status error' : 'status success';
+  if (!isError) setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+}
+
+// Selected tabs that are still open, in window and tab order
+async function getSelectedSearchTabs() {
+  const tabs = await chrome.tabs.query({});
+  return tabs.filter(tab => selectedSearchTabIds.has(tab.id));
+}
+
+function getTabWindowIds(tabs) {
+  return [...new Set(tabs.map(tab => tab.windowId))];
+}
+
+function pluralTabs(count) {
+  return `${count} tab${count !== 1 ? 's' : ''}`;
+}
+
+const BULK_ACTIONS = {
+  async close(tabs) {
+    const tabIds = tabs.map(tab => tab.id);
+    await recordUndoStep(`Close ${pluralTabs(tabs.length)}`, { windowIds: getTabWindowIds(tabs), closedTabIds: tabIds });
+    await chrome.tabs.remove(tabIds);
+    return `✓ Closed ${pluralTabs(tabs.length)}`;
+  },
+  
+  async window(tabs) {
+    await moveTabsToNewWindow(tabs);
+    return `✓ Moved ${pluralTabs(tabs.length)} to a new window`;
+  },
+  
+  async pin(tabs) {
+    // Pin when any selected tab is unpinned, otherwise unpin them all
+    const pinned = tabs.some(tab => !tab.pinned);
+    await recordUndoStep(`${pinned ? 'Pin' : 'Unpin'} ${pluralTabs(tabs.length)}`, { windowIds: getTabWindowIds(tabs) });
+    for (const tab of tabs) {
+      await chrome.tabs.update(tab.id, { pinned });
+    }
+    return `✓ ${pinned ? 'Pinned' : 'Unpinned'} ${pluralTabs(tabs.length)}`;
+  },
+  
+  async mute(tabs) {
+    const muted = tabs.some(tab => !tab.mutedInfo?.muted);
+    for (const tab of tabs) {
+      await chrome.tabs.update(tab.id, { muted });
+    }
+    return `✓ ${muted ? 'Muted' : 'Unmuted'} ${pluralTabs(tabs.length)}`;
+  },
+  
+  async copy(tabs) {
+    const format = getTabFormat('onetab');
+    const output = await format.serialize(buildSessionData(tabs, {}), { includeGroups: false });
+    await navigator.clipboard.writeText(output);
+    return `✓ Copied ${pluralTabs(tabs.length)} as ${format.label}`;
+  },
+  
+  async save(tabs) {
+    const query = document.getElementById('tabSearch').value.trim();
+    const groups = await getTabGroupsById();
+    const sessionData = buildSessionData(tabs, groups, query ? `Search: ${query}` : undefined);
+    await saveSessionToLibrary(sessionData);
+    renderSessionLibrary();
+    return `✓ Saved "${sessionData.session}" (${pluralTabs(tabs.length)})`;
+  }
+};
+
+async function runBulkAction(action) {
   try {
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    const grouped = {};
-    
-    tabs.forEach(tab => {
-      try {
-        const domain = new URL(tab.url).hostname;
-        if (!grouped[domain]) grouped[domain] = [];
-        grouped[domain].push(tab);
-      } catch (e) {
-        if (!grouped['other']) grouped['other'] = [];
-        grouped['other'].push(tab);
-      }
+    const tabs = await getSelectedSearchTabs();
+    if (tabs.length === 0) {
+      showBulkStatus('✗ The selected tabs are no longer open', true);
+      return;
+    }
+    showBulkStatus(await BULK_ACTIONS[action](tabs));
+    updateTabCount();
+    updateTabStatistics();
+    searchTabs();
+  } catch (error) {
+    showBulkStatus(`✗ Error: ${error.message}`, true);
+  }
+}
+
+async function showBulkGroupOptions() {
+  const options = document.getElementById('bulkGroupOptions');
+  if (!options.classList.contains('hidden')) {
+    options.classList.add('hidden');
+    return;
+  }
+  
+  const targetSelect = document.getElementById('bulkGroupTarget');
+  targetSelect.innerHTML = '';
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.textContent = 'New group…';
+  targetSelect.appendChild(newOption);
+  (await chrome.tabGroups.query({})).forEach(group => {
+    const option = document.createElement('option');
+    option.value = group.id;
+    option.textContent = `${group.title || 'Untitled'} (${group.color})`;
+    targetSelect.appendChild(option);
+  });
+  
+  const colorSelect = document.getElementById('bulkGroupColor');
+  if (colorSelect.options.length === 0) {
+    TAB_GROUP_COLORS.forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color;
+      colorSelect.appendChild(option);
     });
+  }
+  
+  updateBulkGroupFields();
+  options.classList.remove('hidden');
+}
+
+// Name and color only apply to a new group
+function updateBulkGroupFields() {
+  const isNew = document.getElementById('bulkGroupTarget').value === '';
+  document.getElementById('bulkGroupName').classList.toggle('hidden', !isNew);
+  document.getElementById('bulkGroupColor').classList.toggle('hidden', !isNew);
+}
+
+async function groupSelectedTabs() {
+  try {
+    const selected = await getSelectedSearchTabs();
+    // Pinned tabs cannot be in a group
+    const tabs = selected.filter(tab => !tab.pinned);
+    const skipped = selected.length - tabs.length;
+    if (tabs.length === 0) {
+      showBulkStatus('✗ Pinned tabs cannot be grouped', true);
+      return;
+    }
     
-    // Sort domains alphabetically
-    const sortedDomains = Object.keys(grouped).sort();
-    let index = 0;
-    
-    for (const domain of sortedDomains) {
-      for (const tab of grouped[domain]) {
-        await chrome.tabs.move(tab.id, { index: index++ });
-      }
+    const target = document.getElementById('bulkGroupTarget').value;
+    const tabIds = tabs.map(tab => tab.id);
+    let groupId;
+    let groupTitle;
+    
+    if (target) {
+      groupId = parseInt(target);
+      const group = await chrome.tabGroups.get(groupId);
+      groupTitle = group.title || 'Untitled';
+      await recordUndoStep(`Group ${pluralTabs(tabs.length)}`, { windowIds: [...new Set([...getTabWindowIds(tabs), group.windowId])] });
+      await chrome.tabs.group({ groupId, tabIds });
+    } else {
+      groupTitle = document.getElementById('bulkGroupName').value.trim();
+      await recordUndoStep(`Group ${pluralTabs(tabs.length)}`, { windowIds: getTabWindowIds(tabs) });
+      groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: tabs[0].windowId } });
+      await chrome.tabGroups.update(groupId, { title: groupTitle, color: document.getElementById('bulkGroupColor').value });
     }
     
-    statusDiv.textContent = `✓ Sorted ${tabs.length} tabs by domain`;
-    statusDiv.className = 'status success';
-    setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+    document.getElementById('bulkGroupOptions').classList.add('hidden');
+    document.getElementById('bulkGroupName').value = '';
+    const skippedMsg = skipped > 0 ? ` (${skipped} pinned skipped)` : '';
+    showBulkStatus(`✓ Added ${pluralTabs(tabs.length)} to ${groupTitle ? `"${groupTitle}"` : 'a new group'}${skippedMsg}`);
+    searchTabs();
     
   } catch (error) {
-    statusDiv.textContent = `✗ Error: ${error.message}`;
-    statusDiv.className = 'status error';
+    showBulkStatus(`✗ Error: ${error.message}`, true);
   }
 }
 
-async function sortTabsAlphabetically() {
-  const statusDiv = document.getElementById('sortStatus');
+document.getElementById('selectAllMatches').addEventListener('change', (e) => {
+  selectedSearchTabIds = e.target.checked ? new Set(searchResultTabs.map(tab => tab.id)) : new Set();
+  document.querySelectorAll('#searchResults .result-select').forEach(checkbox => {
+    checkbox.checked = e.target.checked;
+  });
+  renderBulkBar();
+});
+
+document.querySelectorAll('#searchBulkBar [data-bulk]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    if (btn.dataset.bulk === 'group') {
+      showBulkGroupOptions();
+    } else {
+      runBulkAction(btn.dataset.bulk);
+    }
+  });
+});
+
+document.getElementById('bulkGroupTarget').addEventListener('change', updateBulkGroupFields);
+document.getElementById('applyBulkGroup').addEventListener('click', groupSelectedTabs);
+document.getElementById('bulkGroupName').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') groupSelectedTabs();
+});
+
+// ==================== TAB SORTING ====================
+
+function getTabDomain(tab) {
   try {
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    const sorted = tabs.sort((a, b) => a.title.localeCompare(b.title));
-    
+    return new URL(tab.url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return tab.url || '';
+  }
+}
+
+// Comparators for each sort key; keys can be combined (e.g. domain, then title)
+const TAB_SORT_KEYS = {
+  domain: { label: 'domain', compare: (a, b) => getTabDomain(a).localeCompare(getTabDomain(b)) },
+  title: { label: 'title', compare: (a, b) => (a.title || '').localeCompare(b.title || '') },
+  recent: { label: 'recent activity', compare: (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0) }
+};
+
+// Orders for whole groups: keep their current order, or sort by name or size
+const GROUP_SORT_ORDERS = {
+  keep: () => 0,
+  name: (a, b) => (a.title || '').localeCompare(b.title || ''),
+  size: (a, b) => b.tabs.length - a.tabs.length
+};
+
+function combineTabComparators(keys) {
+  return (a, b) => {
+    for (const key of keys) {
+      const result = TAB_SORT_KEYS[key].compare(a, b);
+      if (result !== 0) return result;
+    }
+    return a.index - b.index;
+  };
+}
+
+// Sort the current window without breaking up groups: pinned tabs stay first,
+// then the groups (each sorted inside, in `groupOrder`), then ungrouped tabs.
+async function sortWindowTabs(keys, groupOrder = 'keep') {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  const groupsById = await getTabGroupsById({ windowId: tabs[0].windowId });
+  const compare = combineTabComparators(keys);
+  
+  const pinned = tabs.filter(tab => tab.pinned).sort(compare);
+  const ungrouped = tabs.filter(tab => !tab.pinned && tab.groupId === -1).sort(compare);
+  const groups = [];
+  tabs.forEach(tab => {
+    if (tab.pinned || tab.groupId === -1) return;
+    let group = groups.find(g => g.id === tab.groupId);
+    if (!group) {
+      group = { id: tab.groupId, title: groupsById[tab.groupId]?.title || '', index: tab.index, tabs: [] };
+      groups.push(group);
+    }
+    group.tabs.push(tab);
+  });
+  groups.sort((a, b) => GROUP_SORT_ORDERS[groupOrder](a, b) || a.index - b.index);
+  
+  await recordUndoStep(`Sort by ${keys.map(key => TAB_SORT_KEYS[key].label).join(', then ')}`);
+  
+  // Place blocks left to right; each move only shifts tabs that are not placed yet
+  let index = 0;
+  for (const tab of pinned) {
+    await chrome.tabs.move(tab.id, { index: index++ });
+  }
+  for (const group of groups) {
+    const start = index;
+    await chrome.tabGroups.move(group.id, { index: start });
+    const sorted = group.tabs.sort(compare);
     for (let i = 0; i < sorted.length; i++) {
-      await chrome.tabs.move(sorted[i].id, { index: i });
+      await chrome.tabs.move(sorted[i].id, { index: start + i });
     }
-    
-    statusDiv.textContent = `✓ Sorted ${tabs.length} tabs alphabetically`;
-    statusDiv.className = 'status success';
-    setTimeout(() => { statusDiv.textContent = ''; }, 3000);
-    
-  } catch (error) {
-    statusDiv.textContent = `✗ Error: ${error.message}`;
-    statusDiv.className = 'status error';
+    index += sorted.length;
   }
+  for (const tab of ungrouped) {
+    await chrome.tabs.move(tab.id, { index: index++ });
+  }
+  
+  return tabs.length;
 }
 
-async function sortTabsByRecent() {
+// Sort by `key`, then by the "then by" choice, with the selected group order
+async function sortTabsBy(key) {
   const statusDiv = document.getElementById('sortStatus');
+  const thenBy = document.getElementById('sortThenBy').value;
+  const groupOrder = document.getElementById('sortGroupOrder').value;
+  const keys = thenBy && thenBy !== key ? [key, thenBy] : [key];
+  
   try {
-    const tabs = await chrome.tabs.query({ currentWindow: true });
-    // Sort by lastAccessed (most recent first)
-    const sorted = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    const count = await sortWindowTabs(keys, groupOrder);
     
-    for (let i = 0; i < sorted.length; i++) {
-      await chrome.tabs.move(sorted[i].id, { index: i });
-    }
-    
-    statusDiv.textContent = `✓ Sorted ${tabs.length} tabs by recent activity`;
+    const keyMsg = keys.map(k => TAB_SORT_KEYS[k].label).join(', then ');
+    const groupMsg = groupOrder !== 'keep' ? `, groups by ${groupOrder}` : '';
+    statusDiv.textContent = `✓ Sorted ${count} tabs by ${keyMsg}${groupMsg}`;
     statusDiv.className = 'status success';
     setTimeout(() => { statusDiv.textContent = ''; }, 3000);
     
@@ -2024,6 +3213,18 @@ async function sortTabsByRecent() {
   }
 }
 
+function sortTabsByDomain() {
+  return sortTabsBy('domain');
+}
+
+function sortTabsAlphabetically() {
+  return sortTabsBy('title');
+}
+
+function sortTabsByRecent() {
+  return sortTabsBy('recent');
+}
+
 const sortByDomainBtn = document.getElementById('sortByDomain');
 const sortAlphabeticallyBtn = document.getElementById('sortAlphabetically');
 const sortByRecentBtn = document.getElementById('sortByRecent');
@@ -2038,6 +3239,7 @@ async function pinAllTabs() {
   const statusDiv = document.getElementById('pinStatus');
   try {
     const tabs = await chrome.tabs.query({ currentWindow: true, pinned: false });
+    if (tabs.length > 0) await recordUndoStep('Pin all');
     
     for (const tab of tabs) {
       await chrome.tabs.update(tab.id, { pinned: true });
@@ -2058,6 +3260,7 @@ async function unpinAllTabs() {
   const statusDiv = document.getElementById('pinStatus');
   try {
     const tabs = await chrome.tabs.query({ currentWindow: true, pinned: true });
+    if (tabs.length > 0) await recordUndoStep('Unpin all');
     
     for (const tab of tabs) {
       await chrome.tabs.update(tab.id, { pinned: false });
@@ -2087,18 +3290,20 @@ async function pinByDomain() {
   
   try {
     const tabs = await chrome.tabs.query({ currentWindow: true });
-    let pinnedCount = 0;
-    
-    for (const tab of tabs) {
+    const matching = tabs.filter(tab => {
       try {
         const tabDomain = new URL(tab.url).hostname.toLowerCase();
-        if (tabDomain.includes(domain) || domain.includes(tabDomain)) {
-          await chrome.tabs.update(tab.id, { pinned: true });
-          pinnedCount++;
-        }
+        return tabDomain.includes(domain) || domain.includes(tabDomain);
       } catch (e) {
         // Skip invalid URLs
+        return false;
       }
+    });
+    const pinnedCount = matching.length;
+    
+    if (pinnedCount > 0) await recordUndoStep(`Pin ${domain}`);
+    for (const tab of matching) {
+      await chrome.tabs.update(tab.id, { pinned: true });
     }
     
     if (pinnedCount === 0) {
@@ -2147,6 +3352,632 @@ if (pinDomainInputEl) {
   });
 }
 
+// ==================== WINDOW TOOLS ====================
+
+// Move tabs to the end of another window. Pinned tabs stay pinned; whole
+// groups move as groups, and tabs taken out of a group are regrouped with
+// the same title and color in the target window.
+async function moveTabsToWindow(tabs, windowId) {
+  const groupsById = await getTabGroupsById();
+  
+  for (const tab of tabs.filter(tab => tab.pinned)) {
+    await chrome.tabs.move(tab.id, { windowId, index: -1 });
+    await chrome.tabs.update(tab.id, { pinned: true });
+  }
+  
+  const blocks = new Map();
+  tabs.filter(tab => !tab.pinned).forEach(tab => {
+    if (!blocks.has(tab.groupId)) blocks.set(tab.groupId, []);
+    blocks.get(tab.groupId).push(tab.id);
+  });
+  for (const [groupId, tabIds] of blocks) {
+    if (groupId === -1) {
+      await chrome.tabs.move(tabIds, { windowId, index: -1 });
+      continue;
+    }
+    const groupTabs = await chrome.tabs.query({ groupId });
+    if (groupTabs.length === tabIds.length) {
+      await chrome.tabGroups.move(groupId, { windowId, index: -1 });
+      continue;
+    }
+    const group = groupsById[groupId];
+    await chrome.tabs.move(tabIds, { windowId, index: -1 });
+    const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(newGroupId, { title: group.title, color: group.color });
+  }
+}
+
+// Open a new window holding `tabs`; returns the window id
+async function moveTabsToNewWindow(tabs) {
+  // windows.create({ tabId }) would drop the first tab's group, so the window
+  // starts with a blank tab that is closed once the tabs are moved in
+  const win = await chrome.windows.create({ focused: false, incognito: tabs[0].incognito });
+  await moveTabsToWindow(tabs, win.id);
+  await chrome.tabs.remove(win.tabs[0].id);
+  return win.id;
+}
+
+function showWindowStatus(message, isError = false) {
+  const statusDiv = document.getElementById('windowStatus');
+  statusDiv.textContent = message;
+  statusDiv.className = isError ? 'status error' : 'status success';
+  if (!isError) setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+}
+
+async function mergeAllWindows() {
+  try {
+    const current = await chrome.windows.getCurrent();
+    // Tabs cannot move between normal and incognito windows
+    const others = (await chrome.windows.getAll({ windowTypes: ['normal'] }))
+      .filter(win => win.id !== current.id && win.incognito === current.incognito);
+    
+    if (others.length === 0) {
+      showWindowStatus('✗ No other windows to merge', true);
+      return;
+    }
+    
+    let movedCount = 0;
+    for (const win of others) {
+      const tabs = await chrome.tabs.query({ windowId: win.id });
+      await moveTabsToWindow(tabs, current.id);
+      movedCount += tabs.length;
+    }
+    
+    showWindowStatus(`✓ Merged ${movedCount} tabs from ${others.length} window${others.length > 1 ? 's' : ''}`);
+    updateTabCount();
+    updateTabStatistics();
+    
+  } catch (error) {
+    showWindowStatus(`✗ Error: ${error.message}`, true);
+  }
+}
+
+// Split the current window by `keyOf(tab)`: the first bucket stays in this
+// window and every other bucket gets a window of its own. Pinned tabs stay.
+async function splitCurrentWindow(keyOf, label) {
+  try {
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const buckets = new Map();
+    tabs.filter(tab => !tab.pinned).forEach(tab => {
+      const key = keyOf(tab);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(tab);
+    });
+    
+    const [, ...moving] = [...buckets.values()];
+    if (moving.length === 0) {
+      showWindowStatus(`✗ Nothing to split: all tabs share one ${label}`, true);
+      return;
+    }
+    
+    for (const bucketTabs of moving) {
+      await moveTabsToNewWindow(bucketTabs);
+    }
+    
+    showWindowStatus(`✓ Split into ${moving.length + 1} windows by ${label}`);
+    updateTabCount();
+    updateTabStatistics();
+    
+  } catch (error) {
+    showWindowStatus(`✗ Error: ${error.message}`, true);
+  }
+}
+
+function splitWindowByGroup() {
+  // Ungrouped tabs share the -1 bucket, which stays when it comes first
+  return splitCurrentWindow(tab => tab.groupId, 'group');
+}
+
+function splitWindowByDomain() {
+  return splitCurrentWindow(getTabDomain, 'domain');
+}
+
+// Tabs selected in the tab strip (Ctrl/Shift-click) are "highlighted"
+async function moveSelectedToNewWindow() {
+  try {
+    const tabs = await chrome.tabs.query({ currentWindow: true, highlighted: true });
+    const allTabs = await chrome.tabs.query({ currentWindow: true });
+    if (tabs.length === allTabs.length) {
+      showWindowStatus('✗ All tabs are selected - Ctrl/Shift-click the tabs to move first', true);
+      return;
+    }
+    
+    await moveTabsToNewWindow(tabs);
+    showWindowStatus(`✓ Moved ${tabs.length} tab${tabs.length > 1 ? 's' : ''} to a new window`);
+    updateTabCount();
+    updateTabStatistics();
+    
+  } catch (error) {
+    showWindowStatus(`✗ Error: ${error.message}`, true);
+  }
+}
+
+document.getElementById('mergeWindows').addEventListener('click', mergeAllWindows);
+document.getElementById('splitByGroup').addEventListener('click', splitWindowByGroup);
+document.getElementById('splitByDomain').addEventListener('click', splitWindowByDomain);
+document.getElementById('moveSelectedToWindow').addEventListener('click', moveSelectedToNewWindow);
+
+// ==================== IDLE TABS ====================
+
+function readIdleDiscardForm() {
+  const minutesInput = document.getElementById('idleDiscardMinutes');
+  const minutes = Math.max(1, Math.min(10080, parseInt(minutesInput.value, 10) || IDLE_DISCARD_DEFAULTS.minutes));
+  minutesInput.value = minutes;
+  return {
+    enabled: document.getElementById('idleDiscardEnabled').checked,
+    minutes,
+    allowlist: document.getElementById('idleDiscardAllowlist').value
+      .split(/[\s,]+/)
+      .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+      .filter(domain => domain.length > 0)
+  };
+}
+
+async function initIdleDiscard() {
+  const settings = await getIdleDiscardSettings();
+  document.getElementById('idleDiscardEnabled').checked = settings.enabled;
+  document.getElementById('idleDiscardMinutes').value = settings.minutes;
+  document.getElementById('idleDiscardAllowlist').value = settings.allowlist.join('\n');
+}
+
+['idleDiscardEnabled', 'idleDiscardMinutes', 'idleDiscardAllowlist'].forEach(elementId => {
+  document.getElementById(elementId).addEventListener('change', () => {
+    // The background starts or stops its check alarm when this changes
+    setIdleDiscardSettings(readIdleDiscardForm());
+  });
+});
+
+document.getElementById('discardIdleNow').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('idleDiscardStatus');
+  try {
+    const settings = readIdleDiscardForm();
+    const { discardedCount, keptCount } = await discardIdleTabs(settings);
+    
+    const keptMsg = keptCount > 0 ? `, kept ${keptCount} with unsaved input` : '';
+    statusDiv.textContent = `✓ Discarded ${discardedCount} tab${discardedCount !== 1 ? 's' : ''} unused for ${settings.minutes}+ minutes${keptMsg}`;
+    statusDiv.className = 'status success';
+    setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+    updateTabStatistics();
+    
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+});
+
+initIdleDiscard();
+
+// ==================== RECENTLY CLOSED ====================
+
+// Recently closed entries currently listed, keyed by session ID
+let recentlyClosedEntries = new Map();
+
+function formatClosedAge(lastModified) {
+  // chrome.sessions reports seconds since the epoch
+  const minutes = Math.round((Date.now() - lastModified * 1000) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(lastModified * 1000).toLocaleDateString();
+}
+
+function getClosedEntryId(entry) {
+  return entry.tab ? entry.tab.sessionId : entry.window.sessionId;
+}
+
+function closedEntryMatches(entry, query) {
+  const tabs = entry.tab ? [entry.tab] : (entry.window.tabs || []);
+  return tabs.some(tab =>
+    (tab.title || '').toLowerCase().includes(query) ||
+    (tab.url || '').toLowerCase().includes(query)
+  );
+}
+
+function createClosedEntryRow(entry) {
+  const sessionId = getClosedEntryId(entry);
+  const row = document.createElement('div');
+  row.className = 'search-result-item closed-item';
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'closed-select';
+  checkbox.dataset.sessionId = sessionId;
+  row.appendChild(checkbox);
+  
+  const info = document.createElement('div');
+  info.className = 'tab-info';
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  const meta = document.createElement('div');
+  meta.className = 'tab-url';
+  
+  if (entry.tab) {
+    let host = entry.tab.url;
+    try {
+      host = new URL(entry.tab.url).hostname || entry.tab.url;
+    } catch (e) {
+      // Keep the raw URL
+    }
+    title.textContent = entry.tab.title || entry.tab.url;
+    title.title = entry.tab.url;
+    meta.textContent = `${host} • ${formatClosedAge(entry.lastModified)}`;
+  } else {
+    const tabs = entry.window.tabs || [];
+    title.textContent = `🪟 Window with ${tabs.length} tab${tabs.length === 1 ? '' : 's'}`;
+    title.title = tabs.map(tab => tab.title || tab.url).join('\n');
+    meta.textContent = `${tabs.slice(0, 3).map(tab => tab.title || tab.url).join(', ')} • ${formatClosedAge(entry.lastModified)}`;
+  }
+  info.appendChild(title);
+  info.appendChild(meta);
+  row.appendChild(info);
+  
+  const restoreBtn = document.createElement('button');
+  restoreBtn.className = 'btn-icon closed-restore';
+  restoreBtn.textContent = '↺';
+  restoreBtn.title = entry.tab ? 'Restore tab' : 'Restore window';
+  restoreBtn.addEventListener('click', () => restoreClosedEntries([sessionId]));
+  row.appendChild(restoreBtn);
+  
+  return row;
+}
+
+async function renderRecentlyClosed() {
+  const listDiv = document.getElementById('closedList');
+  const query = document.getElementById('closedSearch').value.toLowerCase().trim();
+  
+  const entries = await chrome.sessions.getRecentlyClosed({ maxResults: chrome.sessions.MAX_SESSION_RESULTS });
+  recentlyClosedEntries = new Map(entries.map(entry => [getClosedEntryId(entry), entry]));
+  
+  const visible = query ? entries.filter(entry => closedEntryMatches(entry, query)) : entries;
+  listDiv.innerHTML = '';
+  
+  if (visible.length === 0) {
+    listDiv.innerHTML = `<div class="no-results">${query ? 'No closed tabs match' : 'Nothing closed recently'}</div>`;
+  }
+  visible.forEach(entry => listDiv.appendChild(createClosedEntryRow(entry)));
+  updateClosedSelection();
+}
+
+function updateClosedSelection() {
+  const selected = document.querySelectorAll('#closedList .closed-select:checked').length;
+  const button = document.getElementById('restoreSelectedClosed');
+  button.disabled = selected === 0;
+  button.textContent = selected > 0 ? `↺ Restore ${selected} Selected` : '↺ Restore Selected';
+}
+
+// Put restored tabs back into their original groups, as recorded by the
+// background when they closed. Groups that were closed too are recreated
+// from the titles and colors the background remembers.
+async function regroupRestoredTabs(restoredTabs) {
+  const data = await chrome.storage.session.get([TAB_GROUP_REGISTRY_KEY, CLOSED_TAB_GROUPS_KEY]);
+  const registry = data[TAB_GROUP_REGISTRY_KEY] || {};
+  const closedGroups = [...(data[CLOSED_TAB_GROUPS_KEY] || [])];
+  const byGroup = new Map();
+  
+  restoredTabs.forEach(({ closedTab, tab }) => {
+    // Newest record for the URL; each record is used for one tab only
+    const index = closedGroups.findIndex(record => record.url === closedTab.url);
+    if (index === -1) return;
+    const { groupId } = closedGroups.splice(index, 1)[0];
+    if (tab.groupId === groupId) return;
+    if (!byGroup.has(groupId)) byGroup.set(groupId, { windowId: tab.windowId, tabIds: [] });
+    byGroup.get(groupId).tabIds.push(tab.id);
+  });
+  
+  for (const [groupId, { windowId, tabIds }] of byGroup) {
+    try {
+      await chrome.tabs.group({ groupId, tabIds });
+    } catch (e) {
+      const saved = registry[groupId];
+      if (!saved) continue;
+      try {
+        const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+        await chrome.tabGroups.update(newGroupId, { title: saved.title, color: saved.color });
+      } catch (err) {
+        console.error('Failed to recreate group:', saved.title, err);
+      }
+    }
+  }
+  return byGroup.size;
+}
+
+async function restoreClosedEntries(sessionIds) {
+  const statusDiv = document.getElementById('closedStatus');
+  
+  try {
+    // Oldest first, so tabs return to their positions in the order they were closed
+    const ordered = [...sessionIds].sort((a, b) =>
+      recentlyClosedEntries.get(a).lastModified - recentlyClosedEntries.get(b).lastModified
+    );
+    
+    const restoredTabs = [];
+    let windowCount = 0;
+    await pauseDuplicateGuard();
+    for (const sessionId of ordered) {
+      const entry = recentlyClosedEntries.get(sessionId);
+      const restored = await chrome.sessions.restore(sessionId);
+      if (entry.tab && restored && restored.tab) {
+        restoredTabs.push({ closedTab: entry.tab, tab: restored.tab });
+      } else if (entry.window) {
+        windowCount++;
+      }
+    }
+    
+    const groupCount = await regroupRestoredTabs(restoredTabs);
+    
+    const parts = [];
+    if (restoredTabs.length > 0) parts.push(`${restoredTabs.length} tab${restoredTabs.length === 1 ? '' : 's'}`);
+    if (windowCount > 0) parts.push(`${windowCount} window${windowCount === 1 ? '' : 's'}`);
+    const groupMsg = groupCount > 0 ? ` into ${groupCount} group${groupCount === 1 ? '' : 's'}` : '';
+    statusDiv.textContent = `✓ Restored ${parts.join(' and ')}${groupMsg}`;
+    statusDiv.className = 'status success';
+    
+    setTimeout(() => {
+      statusDiv.textContent = '';
+      statusDiv.className = 'status';
+    }, 3000);
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+  
+  renderRecentlyClosed();
+}
+
+document.getElementById('closedSearch').addEventListener('input', renderRecentlyClosed);
+
+document.getElementById('closedList').addEventListener('change', (event) => {
+  if (event.target.classList.contains('closed-select')) updateClosedSelection();
+});
+
+document.getElementById('restoreSelectedClosed').addEventListener('click', () => {
+  const sessionIds = [...document.querySelectorAll('#closedList .closed-select:checked')]
+    .map(checkbox => checkbox.dataset.sessionId);
+  if (sessionIds.length > 0) restoreClosedEntries(sessionIds);
+});
+
+chrome.sessions.onChanged.addListener(renderRecentlyClosed);
+
+renderRecentlyClosed();
+
+// ==================== AUTO GROUPING ====================
+
+// Rules as edited in the list, including rows that are not filled in yet
+let groupRulesDraft = [];
+
+function createGroupRuleRow(rule, index) {
+  const row = document.createElement('div');
+  row.className = 'group-rule';
+  
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'group-rule-type';
+  [['domain', 'Domain'], ['url', 'URL regex'], ['title', 'Title regex']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    typeSelect.appendChild(option);
+  });
+  typeSelect.value = rule.type;
+  
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'group-rule-pattern';
+  patternInput.placeholder = rule.type === 'domain' ? 'github.com' : 'pattern';
+  patternInput.value = rule.pattern;
+  
+  const groupInput = document.createElement('input');
+  groupInput.type = 'text';
+  groupInput.className = 'group-rule-group';
+  groupInput.placeholder = 'Group';
+  groupInput.value = rule.group;
+  
+  const colorSelect = document.createElement('select');
+  colorSelect.className = `group-rule-color preview-group-color color-${rule.color}`;
+  TAB_GROUP_COLORS.forEach(color => {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color;
+    colorSelect.appendChild(option);
+  });
+  colorSelect.value = rule.color;
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn-icon';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove rule';
+  removeBtn.addEventListener('click', () => {
+    groupRulesDraft.splice(index, 1);
+    renderGroupRules();
+    saveGroupRules();
+  });
+  
+  const update = () => {
+    groupRulesDraft[index] = {
+      type: typeSelect.value,
+      pattern: patternInput.value.trim(),
+      group: groupInput.value.trim(),
+      color: colorSelect.value
+    };
+    colorSelect.className = `group-rule-color preview-group-color color-${colorSelect.value}`;
+    patternInput.placeholder = typeSelect.value === 'domain' ? 'github.com' : 'pattern';
+    saveGroupRules();
+  };
+  [typeSelect, patternInput, groupInput, colorSelect].forEach(el => el.addEventListener('change', update));
+  
+  [typeSelect, patternInput, groupInput, colorSelect, removeBtn].forEach(el => row.appendChild(el));
+  return row;
+}
+
+function renderGroupRules() {
+  const listDiv = document.getElementById('groupRuleList');
+  listDiv.innerHTML = '';
+  if (groupRulesDraft.length === 0) {
+    listDiv.innerHTML = '<div class="no-results">No grouping rules yet</div>';
+  }
+  groupRulesDraft.forEach((rule, index) => listDiv.appendChild(createGroupRuleRow(rule, index)));
+}
+
+async function initGroupRules() {
+  const settings = await getGroupRulesSettings();
+  groupRulesDraft = settings.rules.map(rule => ({ ...rule }));
+  document.getElementById('autoGroupEnabled').checked = settings.enabled;
+  renderGroupRules();
+}
+
+// Save the rules; rows left completely empty are ignored, invalid rules are reported
+async function saveGroupRules() {
+  const statusDiv = document.getElementById('groupRulesStatus');
+  const rules = groupRulesDraft.filter(rule => rule.pattern || rule.group);
+  
+  try {
+    rules.forEach((rule, i) => validateGroupRule(rule, i + 1));
+    await setGroupRulesSettings({
+      enabled: document.getElementById('autoGroupEnabled').checked,
+      rules
+    });
+    statusDiv.textContent = '';
+    statusDiv.className = 'status';
+  } catch (error) {
+    statusDiv.textContent = `✗ ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+}
+
+document.getElementById('autoGroupEnabled').addEventListener('change', saveGroupRules);
+
+document.getElementById('addGroupRule').addEventListener('click', () => {
+  groupRulesDraft.push({ type: 'domain', pattern: '', group: '', color: 'blue' });
+  renderGroupRules();
+  const inputs = document.querySelectorAll('#groupRuleList .group-rule-pattern');
+  inputs[inputs.length - 1].focus();
+});
+
+document.getElementById('applyGroupRules').addEventListener('click', async () => {
+  const statusDiv = document.getElementById('groupRulesStatus');
+  
+  try {
+    const { rules } = await getGroupRulesSettings();
+    if (rules.length === 0) {
+      statusDiv.textContent = '✗ Add a grouping rule first';
+      statusDiv.className = 'status error';
+      return;
+    }
+    
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const matching = tabs.filter(tab => !tab.pinned && tab.groupId === -1 && findMatchingGroupRule(tab, rules));
+    if (matching.length > 0) await recordUndoStep('Apply grouping rules');
+    
+    const { groupedCount, groupCount } = await groupTabsByRules(matching, rules);
+    statusDiv.textContent = groupedCount > 0
+      ? `✓ Grouped ${groupedCount} tabs into ${groupCount} groups`
+      : '✓ No ungrouped tabs match the rules';
+    statusDiv.className = 'status success';
+    setTimeout(() => { statusDiv.textContent = ''; }, 3000);
+    
+  } catch (error) {
+    statusDiv.textContent = `✗ Error: ${error.message}`;
+    statusDiv.className = 'status error';
+  }
+});
+
+initGroupRules();
+
+// ==================== SETTINGS EXPORT ====================
+
+const SETTINGS_FILE_FORMAT = 'tabs-manager-settings';
+
+// Storage keys holding preferences (sessions, snapshots and caches are not settings)
+const SETTINGS_EXPORT_KEYS = [
+  RESTORE_SETTINGS_KEY,
+  URL_NORMALIZE_KEY,
+  DUPLICATE_GUARD_KEY,
+  GROUP_RULES_KEY,
+  SYNC_ENABLED_KEY,
+  CONTENT_INDEX_ENABLED_KEY,
+  IDLE_DISCARD_KEY,
+  'trackerBlockList'
+];
+
+function showSettingsStatus(message, type) {
+  const statusDiv = document.getElementById('settingsStatus');
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  if (type === 'success') {
+    setTimeout(() => {
+      statusDiv.textContent = '';
+      statusDiv.className = 'status';
+    }, 3000);
+  }
+}
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  try {
+    const settings = await chrome.storage.local.get(SETTINGS_EXPORT_KEYS);
+    const content = JSON.stringify({
+      format: SETTINGS_FILE_FORMAT,
+      version: 1,
+      date: new Date().toISOString(),
+      settings
+    }, null, 2);
+    
+    const blob = new Blob([content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tab-manager-settings_${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showSettingsStatus(`✓ Exported ${Object.keys(settings).length} settings`, 'success');
+  } catch (error) {
+    showSettingsStatus(`✗ Error: ${error.message}`, 'error');
+  }
+});
+
+document.getElementById('importSettings').addEventListener('click', () => {
+  document.getElementById('settingsFileInput').click();
+});
+
+document.getElementById('settingsFileInput').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.format !== SETTINGS_FILE_FORMAT || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('Not a Tab Manager settings file');
+    }
+    
+    // Unknown keys are ignored so a file can never overwrite sessions
+    const settings = {};
+    SETTINGS_EXPORT_KEYS.forEach(key => {
+      if (data.settings[key] !== undefined) settings[key] = data.settings[key];
+    });
+    if (settings[GROUP_RULES_KEY]) {
+      (settings[GROUP_RULES_KEY].rules || []).forEach((rule, i) => validateGroupRule(rule, i + 1));
+    }
+    if (settings[URL_NORMALIZE_KEY]) {
+      parseUrlRewrites(formatUrlRewrites(settings[URL_NORMALIZE_KEY].rewrites || []));
+    }
+    
+    await chrome.storage.local.set(settings);
+    await Promise.all([
+      loadRestoreSettings(),
+      initDuplicateRules(),
+      initDuplicateGuard(),
+      initGroupRules(),
+      renderSyncStatus(),
+      renderContentIndexStatus(),
+      initIdleDiscard(),
+      loadTrackerBlockList()
+    ]);
+    showSettingsStatus(`✓ Imported ${Object.keys(settings).length} settings`, 'success');
+  } catch (error) {
+    showSettingsStatus(`✗ Error: ${error.message}`, 'error');
+  }
+});
+
 // Initialize statistics on load
 updateTabStatistics();
 
@@ -0,0 +1,95 @@
+// Passphrase-encrypted session exports (PBKDF2 key derivation + AES-GCM)
+//
+// Envelope written to disk:
+// {
+//   "format": "tabs-manager-encrypted", "version": 1,
+//   "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 310000, "salt": <base64url> },
+//   "cipher": { "name": "AES-GCM", "iv": <base64url> },
+//   "contentFormat": <tab format id of the plaintext>,
+//   "data": <base64url ciphertext>
+// }
+// ENCRYPTED_ENVELOPE_FORMAT and isEncryptedEnvelope live in session-schema.js.
+
+const ENCRYPTED_ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+// Imported files may not ask for more work than this (key derivation cannot be cancelled)
+const PBKDF2_MAX_ITERATIONS = PBKDF2_ITERATIONS * 10;
+
+// Parse file text as an envelope, or return null if it is not one
+function parseEncryptedEnvelope(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) return null;
+  try {
+    const data = JSON.parse(trimmed);
+    return isEncryptedEnvelope(data) ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function deriveSessionKey(passphrase, salt, iterations, usage) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+// Encrypt exported text; returns the envelope as pretty-printed JSON
+async function encryptSessionText(text, passphrase, contentFormat) {
+  if (!passphrase) throw new Error('Passphrase is required');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveSessionKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(text)
+  );
+
+  return JSON.stringify({
+    format: ENCRYPTED_ENVELOPE_FORMAT,
+    version: ENCRYPTED_ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64Url(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64Url(iv) },
+    contentFormat,
+    data: bytesToBase64Url(new Uint8Array(ciphertext))
+  }, null, 2);
+}
+
+// Decrypt an envelope; returns { text, contentFormat }
+async function decryptSessionEnvelope(envelope, passphrase) {
+  if (envelope.version !== ENCRYPTED_ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted file version: ${envelope.version}`);
+  }
+  const { kdf, cipher } = envelope;
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) ||
+      kdf.iterations < 1 || kdf.iterations > PBKDF2_MAX_ITERATIONS || !cipher || cipher.name !== 'AES-GCM') {
+    throw new Error('Unsupported encryption method');
+  }
+  if (!passphrase) throw new Error('Passphrase is required');
+
+  let salt, iv, data;
+  try {
+    salt = base64UrlToBytes(kdf.salt);
+    iv = base64UrlToBytes(cipher.iv);
+    data = base64UrlToBytes(envelope.data);
+  } catch (e) {
+    throw new Error('Encrypted file is corrupted');
+  }
+
+  const key = await deriveSessionKey(passphrase, salt, kdf.iterations, 'decrypt');
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  } catch (e) {
+    // AES-GCM authentication fails for a wrong key and for altered data alike
+    throw new Error('Wrong passphrase (or the file has been modified)');
+  }
+
+  return { text: new TextDecoder().decode(plaintext), contentFormat: envelope.contentFormat };
+}
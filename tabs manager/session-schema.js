@@ -0,0 +1,231 @@
+// Versioned session format: schema, validation and migration of older files
+
+const SESSION_SCHEMA_VERSION = 2;
+
+// Passphrase-encrypted exports (session-crypto.js) are recognised here too,
+// so importers can reject them without loading the crypto code
+const ENCRYPTED_ENVELOPE_FORMAT = 'tabs-manager-encrypted';
+
+function isEncryptedEnvelope(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === ENCRYPTED_ENVELOPE_FORMAT;
+}
+
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// JSON-schema-style description of a single saved tab
+const SESSION_TAB_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', pattern: '^(https?|file)://' },
+    title: { type: ['string', 'null'] },
+    group: { type: ['string', 'null'] },
+    color: { type: ['string', 'null'], enum: [...TAB_GROUP_COLORS, null] },
+    index: { type: 'integer', minimum: 0 },
+    window: { type: 'integer', minimum: 0 },
+    pinned: { type: 'boolean' },
+    muted: { type: 'boolean' },
+    active: { type: 'boolean' }
+  }
+};
+
+// JSON-schema-style description of a whole session (tabs are checked one by one)
+const SESSION_SCHEMA = {
+  type: 'object',
+  required: ['version', 'tabs'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    session: { type: 'string' },
+    date: { type: 'string' },
+    tabCount: { type: 'integer', minimum: 0 },
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'color'],
+        properties: {
+          title: { type: 'string' },
+          color: { type: 'string', enum: TAB_GROUP_COLORS },
+          collapsed: { type: 'boolean' }
+        }
+      }
+    },
+    windows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          state: { type: 'string', enum: ['normal', 'minimized', 'maximized', 'fullscreen'] },
+          focused: { type: 'boolean' },
+          left: { type: 'integer' },
+          top: { type: 'integer' },
+          width: { type: 'integer' },
+          height: { type: 'integer' }
+        }
+      }
+    },
+    tabs: { type: 'array' }
+  }
+};
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate a value against a schema subset (type, required, properties,
+// items, enum, pattern, minimum). Returns a list of { path, message }.
+function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const actualType = schemaTypeOf(value);
+  const typeMatches = types.length === 0 ||
+    types.includes(actualType) ||
+    (actualType === 'integer' && types.includes('number'));
+
+  if (!typeMatches) {
+    errors.push({ path, message: `expected ${types.join(' or ')}, got ${actualType}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.filter(v => v !== null).join(', ')}` });
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `does not match ${schema.pattern}` });
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propSchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Migrations keyed by the version they upgrade from
+const SESSION_MIGRATIONS = {
+  // v1: the original export ({ session, date, tabCount, tabs[] }) without a
+  // version field, group list, tab indices or pinned/muted flags
+  1: (data) => {
+    const groups = [];
+    data.tabs.forEach(tab => {
+      if (!tab || typeof tab.group !== 'string' || !TAB_GROUP_COLORS.includes(tab.color)) return;
+      if (!groups.some(g => g.title === tab.group && g.color === tab.color)) {
+        groups.push({ title: tab.group, color: tab.color, collapsed: false });
+      }
+    });
+    return {
+      ...data,
+      version: 2,
+      groups: data.groups || groups,
+      tabs: data.tabs.map((tab, index) => (tab && typeof tab === 'object')
+        ? { index, pinned: false, muted: false, ...tab }
+        : tab)
+    };
+  }
+};
+
+// Upgrade session data of any known version to SESSION_SCHEMA_VERSION
+function migrateSessionData(data) {
+  // Bare tab arrays predate the session wrapper
+  if (Array.isArray(data)) {
+    data = { tabs: data };
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.tabs)) {
+    throw new Error('Invalid session format - missing tabs array');
+  }
+
+  let migrated = { ...data, version: data.version === undefined ? 1 : data.version };
+  if (!Number.isInteger(migrated.version) || migrated.version < 1) {
+    throw new Error(`Invalid session version: ${data.version}`);
+  }
+  if (migrated.version > SESSION_SCHEMA_VERSION) {
+    throw new Error(`Session version ${migrated.version} is newer than supported (${SESSION_SCHEMA_VERSION})`);
+  }
+
+  while (migrated.version < SESSION_SCHEMA_VERSION) {
+    migrated = SESSION_MIGRATIONS[migrated.version](migrated);
+  }
+  migrated.tabCount = migrated.tabs.length;
+  return migrated;
+}
+
+// Migrate and validate imported session data.
+// Returns the session with only usable tabs plus a per-tab report of
+// skipped tabs and ignored fields: { sessionData, report, migratedFrom }.
+function prepareSessionImport(data) {
+  const originalVersion = (data && !Array.isArray(data) && data.version !== undefined) ? data.version : 1;
+  const migrated = migrateSessionData(data);
+
+  const sessionErrors = validateAgainstSchema(migrated, SESSION_SCHEMA);
+  if (sessionErrors.length > 0) {
+    const { path, message } = sessionErrors[0];
+    throw new Error(`Invalid session: ${path || 'session'} ${message}`);
+  }
+
+  const report = [];
+  const tabs = [];
+
+  migrated.tabs.forEach((tab, index) => {
+    const errors = validateAgainstSchema(tab, SESSION_TAB_SCHEMA);
+    const url = tab && typeof tab.url === 'string' ? tab.url : '';
+
+    // Problems with the tab itself or its URL mean it cannot be opened
+    const fatal = errors.filter(e => e.path === '' || e.path === 'url');
+    if (fatal.length > 0) {
+      report.push({
+        index,
+        url,
+        skipped: true,
+        reason: fatal.map(e => e.path === '' ? `tab ${e.message}` : `URL ${e.message}`).join('; ')
+      });
+      return;
+    }
+
+    // Other invalid fields are dropped and the tab is still opened
+    const cleanTab = { ...tab };
+    errors.forEach(e => {
+      const field = e.path.split('.')[0];
+      delete cleanTab[field];
+      if (field === 'group' || field === 'color') {
+        delete cleanTab.group;
+        delete cleanTab.color;
+      }
+    });
+    if (errors.length > 0) {
+      report.push({
+        index,
+        url,
+        skipped: false,
+        reason: `ignored ${errors.map(e => `${e.path} (${e.message})`).join('; ')}`
+      });
+    }
+    tabs.push(cleanTab);
+  });
+
+  return {
+    sessionData: { ...migrated, tabs, tabCount: tabs.length },
+    report,
+    migratedFrom: originalVersion !== SESSION_SCHEMA_VERSION ? originalVersion : null
+  };
+}
@@ -0,0 +1,183 @@
+// Sync the saved session library across machines through chrome.storage.sync.
+//
+// Each session is stored as a compressed share string (see tab-formats.js)
+// split into chunks that fit the per-item quota:
+//   sessionSyncIndex            { [id]: { m: modified, c: chunk count, b: bytes, d: deleted } }
+//   sessionSync_<id>_<n>        chunk n of the session's share string
+// Conflicts are resolved per session by last-modified time.
+
+const SYNC_ENABLED_KEY = 'sessionSyncEnabled';
+const SYNC_STATE_KEY = 'sessionSyncState';
+const SYNC_INDEX_KEY = 'sessionSyncIndex';
+const SYNC_CHUNK_PREFIX = 'sessionSync_';
+
+// Deletions older than this are forgotten on both sides
+const SYNC_TOMBSTONE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Room left in each item and in the whole area for keys and JSON quoting
+const SYNC_ITEM_MARGIN = 100;
+const SYNC_TOTAL_MARGIN = 2048;
+
+function getSyncQuota() {
+  const sync = chrome.storage.sync;
+  return {
+    total: sync.QUOTA_BYTES || 102400,
+    perItem: sync.QUOTA_BYTES_PER_ITEM || 8192,
+    maxItems: sync.MAX_ITEMS || 512
+  };
+}
+
+function syncChunkKey(id, n) {
+  return `${SYNC_CHUNK_PREFIX}${id}_${n}`;
+}
+
+// Bytes an item takes in storage.sync (key plus JSON value)
+function syncItemBytes(key, value) {
+  return key.length + new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+async function isSessionSyncEnabled() {
+  const data = await chrome.storage.local.get(SYNC_ENABLED_KEY);
+  return data[SYNC_ENABLED_KEY] === true;
+}
+
+// Compress a library entry and split it into storage.sync items
+async function encodeSyncChunks(entry) {
+  const { perItem } = getSyncQuota();
+  const blob = await encodeSessionBlob(entry);
+  const chunkSize = perItem - SYNC_ITEM_MARGIN;
+  const chunks = {};
+  let bytes = 0;
+  for (let i = 0; i * chunkSize < blob.length; i++) {
+    const key = syncChunkKey(entry.id, i);
+    chunks[key] = blob.slice(i * chunkSize, (i + 1) * chunkSize);
+    bytes += syncItemBytes(key, chunks[key]);
+  }
+  return { chunks, count: Object.keys(chunks).length, bytes };
+}
+
+// Read a session back from its chunks. Throws if chunks are missing or
+// from different versions (sync delivers items one by one).
+async function decodeSyncChunks(id, count) {
+  const keys = Array.from({ length: count }, (_, i) => syncChunkKey(id, i));
+  const data = await chrome.storage.sync.get(keys);
+  if (keys.some(key => typeof data[key] !== 'string')) {
+    throw new Error('chunks not synced yet');
+  }
+  return decodeSessionBlob(keys.map(key => data[key]).join(''));
+}
+
+// Merge the local library with storage.sync. The newer side wins for each
+// session; sessions that do not fit the sync quota stay local only.
+// Returns { pulled, pushed, deleted, skipped: [session names], errors: [messages] }.
+async function syncSessionLibrary() {
+  const quota = getSyncQuota();
+  const now = Date.now();
+  const { [SYNC_INDEX_KEY]: remoteIndex = {} } = await chrome.storage.sync.get(SYNC_INDEX_KEY);
+  const localSessions = await getSavedSessions();
+  const tombstones = await getSessionTombstones();
+  const originalTombstones = JSON.stringify(tombstones);
+
+  const local = new Map(localSessions.map(entry => [entry.id, entry]));
+  const index = { ...remoteIndex };
+  const uploads = [];
+  // Chunk counts of remote copies that are being replaced or deleted
+  const replacedChunks = {};
+  const result = { pulled: 0, pushed: 0, deleted: 0, skipped: [], errors: [] };
+  let localChanged = false;
+
+  const ids = new Set([...local.keys(), ...Object.keys(tombstones), ...Object.keys(remoteIndex)]);
+  for (const id of ids) {
+    const entry = local.get(id);
+    const localModified = entry ? getSessionModified(entry) : (tombstones[id] || 0);
+    const remote = remoteIndex[id];
+    const remoteModified = remote ? remote.m : 0;
+
+    if (remoteModified > localModified) {
+      if (remote.d) {
+        if (entry) {
+          local.delete(id);
+          result.deleted++;
+        }
+        tombstones[id] = remote.m;
+      } else {
+        try {
+          const remoteEntry = await decodeSyncChunks(id, remote.c);
+          local.set(id, { ...remoteEntry, id, modified: remote.m });
+          delete tombstones[id];
+          result.pulled++;
+        } catch (error) {
+          result.errors.push(`Could not read synced session ${id}: ${error.message}`);
+          continue;
+        }
+      }
+      localChanged = true;
+    } else if (localModified > remoteModified) {
+      if (entry) {
+        uploads.push(entry);
+      } else {
+        index[id] = { m: localModified, c: 0, b: 0, d: true };
+      }
+      if (remote) replacedChunks[id] = remote.c;
+    }
+  }
+
+  // Forget old deletions on both sides
+  Object.keys(tombstones).forEach(id => {
+    if (now - tombstones[id] > SYNC_TOMBSTONE_MAX_AGE_MS) delete tombstones[id];
+  });
+  Object.keys(index).forEach(id => {
+    if (index[id].d && now - index[id].m > SYNC_TOMBSTONE_MAX_AGE_MS) delete index[id];
+  });
+
+  // Upload newest first so the most recent sessions get the quota
+  const items = {};
+  uploads.sort((a, b) => getSessionModified(b) - getSessionModified(a));
+  for (const entry of uploads) {
+    const { chunks, count, bytes } = await encodeSyncChunks(entry);
+    const others = Object.entries(index).filter(([id]) => id !== entry.id);
+    const usedBytes = others.reduce((sum, [, info]) => sum + info.b, 0);
+    const usedItems = others.reduce((sum, [, info]) => sum + info.c, 0);
+    const candidate = { ...index, [entry.id]: { m: getSessionModified(entry), c: count, b: bytes } };
+
+    if (usedBytes + bytes + syncItemBytes(SYNC_INDEX_KEY, candidate) > quota.total - SYNC_TOTAL_MARGIN ||
+        usedItems + count + 1 > quota.maxItems) {
+      // The older synced copy, if any, stays until there is room
+      result.skipped.push(entry.session);
+      continue;
+    }
+
+    index[entry.id] = candidate[entry.id];
+    Object.assign(items, chunks);
+    result.pushed++;
+  }
+
+  if (syncItemBytes(SYNC_INDEX_KEY, index) > quota.perItem) {
+    throw new Error('Too many saved sessions to sync');
+  }
+
+  // Chunks are written together with the index that points at them
+  const indexChanged = JSON.stringify(index) !== JSON.stringify(remoteIndex);
+  if (Object.keys(items).length > 0 || indexChanged) {
+    await chrome.storage.sync.set({ ...items, [SYNC_INDEX_KEY]: index });
+  }
+  // Remove chunks past the end of each replaced or deleted session
+  const staleKeys = [];
+  Object.entries(replacedChunks).forEach(([id, oldCount]) => {
+    const kept = index[id] && !index[id].d ? index[id].c : 0;
+    for (let i = kept; i < oldCount; i++) staleKeys.push(syncChunkKey(id, i));
+  });
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+
+  if (localChanged) {
+    const sessions = [...local.values()].sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+    await setSavedSessions(sessions);
+  }
+  if (JSON.stringify(tombstones) !== originalTombstones) {
+    await chrome.storage.local.set({ [SESSION_TOMBSTONES_KEY]: tombstones });
+  }
+
+  return result;
+}
@@ -0,0 +1,437 @@
+// Session helpers shared by the popup and the background service worker
+
+// Build session data in the same shape the JSON export writes.
+// `groups` lists the tab groups in tab strip order with their collapsed state.
+function buildSessionData(tabs, groups, name) {
+  const groupOrder = [];
+  tabs.forEach(tab => {
+    if (tab.groupId !== -1 && groups[tab.groupId] && !groupOrder.includes(tab.groupId)) {
+      groupOrder.push(tab.groupId);
+    }
+  });
+  
+  return {
+    version: SESSION_SCHEMA_VERSION,
+    session: name || `Session_${new Date().toISOString().split('T')[0]}`,
+    date: new Date().toISOString(),
+    tabCount: tabs.length,
+    groups: groupOrder.map(groupId => ({ ...groups[groupId] })),
+    tabs: tabs.map(tab => ({
+      url: resolvePlaceholderUrl(tab.url),
+      title: tab.title,
+      group: (tab.groupId !== -1 && groups[tab.groupId]) ? groups[tab.groupId].title : null,
+      color: (tab.groupId !== -1 && groups[tab.groupId]) ? groups[tab.groupId].color : null,
+      index: tab.index,
+      pinned: tab.pinned || false,
+      muted: tab.mutedInfo?.muted || false
+    }))
+  };
+}
+
+// Collect tab group titles, colors and collapsed state, keyed by group ID
+async function getTabGroupsById(queryInfo = {}) {
+  const groups = {};
+  const allGroups = await chrome.tabGroups.query(queryInfo);
+  allGroups.forEach(group => {
+    groups[group.id] = {
+      title: group.title || 'Untitled',
+      color: group.color,
+      collapsed: group.collapsed || false
+    };
+  });
+  return groups;
+}
+
+// Capture all tabs and groups of the current window as session data
+async function captureCurrentWindowSession(name) {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  const groups = await getTabGroupsById({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+  return buildSessionData(tabs, groups, name);
+}
+
+// Capture every normal window with its tabs, groups and layout.
+// Each tab records the position of its window in `windows` and whether it
+// was the active tab, so the arrangement can be recreated on restore.
+async function captureAllWindowsSession(name) {
+  const windows = (await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }))
+    .filter(win => !win.incognito);
+  const groups = await getTabGroupsById();
+  const tabs = windows.flatMap(win => win.tabs);
+  const windowIndex = new Map(windows.map((win, index) => [win.id, index]));
+  
+  const sessionData = buildSessionData(tabs, groups, name);
+  sessionData.tabs.forEach((tab, index) => {
+    tab.window = windowIndex.get(tabs[index].windowId);
+    tab.active = tabs[index].active;
+  });
+  sessionData.windows = windows.map(win => ({
+    state: win.state,
+    focused: win.focused,
+    left: win.left,
+    top: win.top,
+    width: win.width,
+    height: win.height
+  }));
+  
+  return sessionData;
+}
+
+// ==================== RESTORE ENGINE ====================
+
+const RESTORE_DEFAULTS = {
+  // Maximum number of tabs loading at the same time
+  concurrency: 5,
+  // 'normal' loads every tab, 'discarded' and 'placeholder' load on first activation
+  loadMode: 'normal'
+};
+const RESTORE_SETTINGS_KEY = 'restoreSettings';
+const TAB_LOAD_TIMEOUT_MS = 30000;
+const PLACEHOLDER_PAGE = 'placeholder.html';
+
+// Throttling settings chosen in the popup
+async function getRestoreSettings() {
+  const data = await chrome.storage.local.get(RESTORE_SETTINGS_KEY);
+  return { ...RESTORE_DEFAULTS, ...(data[RESTORE_SETTINGS_KEY] || {}) };
+}
+
+// Lightweight page that loads its real URL once the tab is activated
+function getPlaceholderUrl(tab) {
+  const params = new URLSearchParams({ url: tab.url, title: tab.title || '' });
+  return `${chrome.runtime.getURL(PLACEHOLDER_PAGE)}#${params}`;
+}
+
+// Map a placeholder tab back to the URL it stands for
+function resolvePlaceholderUrl(url) {
+  if (!url || !url.startsWith(chrome.runtime.getURL(PLACEHOLDER_PAGE))) return url;
+  return new URLSearchParams(url.split('#')[1] || '').get('url') || url;
+}
+
+// Resolve once the tab matches `predicate`, is closed, or the timeout passes
+function waitForTab(tabId, predicate, timeoutMs = TAB_LOAD_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      resolve();
+    };
+    const onUpdated = (id, changeInfo, tab) => {
+      if (id === tabId && predicate(tab)) done();
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) done();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    
+    // The tab may already be there
+    chrome.tabs.get(tabId).then(tab => {
+      if (predicate(tab)) done();
+    }).catch(done);
+  });
+}
+
+// Discard a new tab once its URL is committed so the page stops loading.
+// Resolves to the discarded tab's ID, which may differ from `tabId`.
+async function discardOnCommit(tabId, url) {
+  await waitForTab(tabId, t => Boolean(t.url) && !t.pendingUrl);
+  try {
+    const discarded = await chrome.tabs.discard(tabId);
+    return discarded ? discarded.id : tabId;
+  } catch (err) {
+    console.warn('Could not discard tab:', url, err);
+    return tabId;
+  }
+}
+
+// Open session tabs in their saved order and recreate their groups.
+// `groups` is the session's ordered group list, used for group order and collapsed state.
+// `concurrency` and `loadMode` throttle loading; `signal` (an AbortSignal) cancels the
+// restore and `onTabProcessed` is called after each tab.
+async function openSessionTabs(sessionTabs, {
+  windowId,
+  restoreActive = false,
+  groups = [],
+  concurrency = RESTORE_DEFAULTS.concurrency,
+  loadMode = RESTORE_DEFAULTS.loadMode,
+  signal,
+  onTabProcessed
+} = {}) {
+  const validTabs = [];
+  // Per-tab report of skipped or failed tabs: { index, url, skipped, reason }
+  const report = [];
+  let skippedCount = 0;
+  
+  sessionTabs.forEach((tab, index) => {
+    // Validate URL exists and is valid
+    if (!tab.url || typeof tab.url !== 'string') {
+      report.push({ index: tab.index ?? index, url: '', skipped: true, reason: 'URL is required' });
+      skippedCount++;
+      if (onTabProcessed) onTabProcessed();
+      return;
+    }
+    if (!tab.url.startsWith('http://') && !tab.url.startsWith('https://') && !tab.url.startsWith('file://')) {
+      report.push({ index: tab.index ?? index, url: tab.url, skipped: true, reason: 'URL must start with http://, https:// or file://' });
+      skippedCount++;
+      if (onTabProcessed) onTabProcessed();
+      return;
+    }
+    validTabs.push(tab);
+  });
+  
+  // Restore the saved tab order
+  validTabs.sort((a, b) => (a.window || 0) - (b.window || 0) || (a.index ?? 0) - (b.index ?? 0));
+  
+  console.log('Valid tabs:', validTabs.length);
+  console.log('Skipped tabs:', skippedCount);
+  
+  let openedCount = 0;
+  let cancelled = false;
+  // Tab IDs (or promises of them, for tabs still being discarded) per group, keyed by "title|color"
+  const groupMap = new Map();
+  // Pending load or discard promises, at most `concurrency` at once
+  const loading = new Set();
+  const track = async (promise) => {
+    const pending = promise.then(() => loading.delete(pending));
+    loading.add(pending);
+    if (loading.size >= concurrency) {
+      await Promise.race(loading);
+    }
+  };
+  
+  for (const tab of validTabs) {
+    if (signal && signal.aborted) {
+      cancelled = true;
+      break;
+    }
+    
+    const grouped = Boolean(tab.group && tab.color) && !tab.pinned;
+    try {
+      console.log(`Opening ${grouped ? 'grouped' : 'ungrouped'} tab:`, tab.url);
+      const active = restoreActive && tab.active === true;
+      const lazy = !active && loadMode !== 'normal';
+      const newTab = await chrome.tabs.create({
+        url: lazy && loadMode === 'placeholder' ? getPlaceholderUrl(tab) : tab.url,
+        windowId,
+        active,
+        pinned: tab.pinned === true
+      });
+      let tabId = newTab.id;
+      if (tab.muted === true) {
+        await chrome.tabs.update(tabId, { muted: true });
+      }
+      
+      if (lazy && loadMode === 'discarded') {
+        // Later tabs are created while this one waits for its URL to commit
+        tabId = discardOnCommit(tabId, tab.url);
+        await track(tabId);
+      } else if (!lazy) {
+        await track(waitForTab(tabId, t => t.status === 'complete'));
+      }
+      openedCount++;
+      
+      if (grouped) {
+        const key = `${tab.group}|${tab.color}`;
+        if (!groupMap.has(key)) {
+          groupMap.set(key, []);
+        }
+        groupMap.get(key).push(tabId);
+      }
+    } catch (err) {
+      console.error('Failed to open tab:', tab.url, err);
+      report.push({ index: tab.index, url: tab.url, skipped: true, reason: `failed to open: ${err.message}` });
+      skippedCount++;
+    }
+    if (onTabProcessed) onTabProcessed();
+  }
+  
+  // Discarded tabs may change ID, so grouping waits for every discard
+  if (loadMode === 'discarded') {
+    await Promise.all(loading);
+  }
+  
+  // Group the opened tabs, following the saved group order
+  const groupInfo = new Map(groups.map((group, index) => [`${group.title}|${group.color}`, { ...group, order: index }]));
+  const groupKeys = [...groupMap.keys()].sort((a, b) =>
+    (groupInfo.get(a)?.order ?? Infinity) - (groupInfo.get(b)?.order ?? Infinity)
+  );
+  
+  for (const key of groupKeys) {
+    const tabIds = await Promise.all(groupMap.get(key));
+    const [groupTitle, groupColor] = key.split('|');
+    
+    try {
+      const groupId = await chrome.tabs.group(windowId ? { tabIds, createProperties: { windowId } } : { tabIds });
+      await chrome.tabGroups.update(groupId, {
+        title: groupTitle,
+        color: groupColor,
+        collapsed: groupInfo.get(key)?.collapsed === true
+      });
+      console.log(`Created group "${groupTitle}" with ${tabIds.length} tabs`);
+    } catch (err) {
+      console.error('Failed to create group:', groupTitle, err);
+    }
+  }
+  
+  return { openedCount, skippedCount, groupCount: groupMap.size, report, cancelled };
+}
+
+// Recreate each saved window with its tabs, bounds and state
+async function openSessionWindows(sessionData, restoreOptions = {}) {
+  const windowTabs = sessionData.windows.map(() => []);
+  sessionData.tabs.forEach(tab => {
+    (windowTabs[tab.window] || windowTabs[0]).push(tab);
+  });
+  
+  let openedCount = 0;
+  let skippedCount = 0;
+  let groupCount = 0;
+  const report = [];
+  let cancelled = false;
+  let focusWindowId = null;
+  
+  for (let i = 0; i < sessionData.windows.length; i++) {
+    const layout = sessionData.windows[i];
+    if (windowTabs[i].length === 0) continue;
+    if (restoreOptions.signal && restoreOptions.signal.aborted) {
+      cancelled = true;
+      break;
+    }
+    
+    const createData = { focused: false };
+    if (!layout.state || layout.state === 'normal') {
+      ['left', 'top', 'width', 'height'].forEach(key => {
+        if (Number.isInteger(layout[key])) createData[key] = layout[key];
+      });
+    }
+    
+    const win = await chrome.windows.create(createData);
+    const blankTabIds = (win.tabs || []).map(tab => tab.id);
+    
+    const result = await openSessionTabs(windowTabs[i], {
+      ...restoreOptions,
+      windowId: win.id,
+      restoreActive: true,
+      groups: sessionData.groups || []
+    });
+    openedCount += result.openedCount;
+    skippedCount += result.skippedCount;
+    groupCount += result.groupCount;
+    report.push(...result.report);
+    cancelled = cancelled || result.cancelled;
+    
+    if (result.openedCount === 0) {
+      await chrome.windows.remove(win.id);
+      continue;
+    }
+    
+    // Drop the blank tab the new window was created with
+    if (blankTabIds.length > 0) {
+      await chrome.tabs.remove(blankTabIds);
+    }
+    if (layout.state && layout.state !== 'normal') {
+      await chrome.windows.update(win.id, { state: layout.state });
+    }
+    if (layout.focused) {
+      focusWindowId = win.id;
+    }
+  }
+  
+  if (focusWindowId !== null) {
+    await chrome.windows.update(focusWindowId, { focused: true });
+  }
+  
+  return { openedCount, skippedCount, groupCount, report, cancelled };
+}
+
+// Restore a session, recreating its windows when the layout was saved.
+// Options: concurrency, loadMode, signal and onProgress({ done, total }).
+async function restoreSession(sessionData, { onProgress, ...restoreOptions } = {}) {
+  sessionData = migrateSessionData(sessionData);
+  
+  let done = 0;
+  const total = sessionData.tabs.length;
+  const onTabProcessed = () => {
+    done++;
+    if (onProgress) onProgress({ done, total });
+  };
+  
+  if (Array.isArray(sessionData.windows) && sessionData.windows.length > 0) {
+    return openSessionWindows(sessionData, { ...restoreOptions, onTabProcessed });
+  }
+  return openSessionTabs(sessionData.tabs, {
+    ...restoreOptions,
+    groups: sessionData.groups || [],
+    onTabProcessed
+  });
+}
+
+// ==================== TAB GROUP REGISTRY ====================
+
+// Titles and colors of tab groups by ID for this browser session, kept by the
+// background so recently closed tabs can go back into a group that is gone
+const TAB_GROUP_REGISTRY_KEY = 'tabGroupRegistry';
+
+// Groups of recently closed tabs, newest first: [{ url, groupId, closedAt }].
+// Recorded by the background when a grouped tab closes, because the sessions
+// API does not reliably report a closed tab's group.
+const CLOSED_TAB_GROUPS_KEY = 'closedTabGroups';
+const CLOSED_TAB_GROUPS_LIMIT = 25;
+
+// ==================== SESSION LIBRARY ====================
+
+const SESSION_LIBRARY_KEY = 'savedSessions';
+
+// Deleted session IDs with their deletion time, so deletions can be synced
+const SESSION_TOMBSTONES_KEY = 'savedSessionTombstones';
+
+async function getSavedSessions() {
+  const data = await chrome.storage.local.get(SESSION_LIBRARY_KEY);
+  return data[SESSION_LIBRARY_KEY] || [];
+}
+
+async function setSavedSessions(sessions) {
+  await chrome.storage.local.set({ [SESSION_LIBRARY_KEY]: sessions });
+}
+
+async function getSessionTombstones() {
+  const data = await chrome.storage.local.get(SESSION_TOMBSTONES_KEY);
+  return data[SESSION_TOMBSTONES_KEY] || {};
+}
+
+// Last change of a library entry (entries saved before sync only have a date)
+function getSessionModified(entry) {
+  return entry.modified || Date.parse(entry.date) || 0;
+}
+
+async function saveSessionToLibrary(sessionData) {
+  const sessions = await getSavedSessions();
+  const entry = {
+    id: `session_${Date.now()}`,
+    ...sessionData,
+    modified: Date.now()
+  };
+  sessions.unshift(entry);
+  await setSavedSessions(sessions);
+  return entry;
+}
+
+async function renameSavedSession(id, name) {
+  const sessions = await getSavedSessions();
+  const entry = sessions.find(s => s.id === id);
+  if (!entry) throw new Error('Session not found');
+  entry.session = name;
+  entry.modified = Date.now();
+  await setSavedSessions(sessions);
+}
+
+async function deleteSavedSession(id) {
+  const sessions = await getSavedSessions();
+  const tombstones = await getSessionTombstones();
+  tombstones[id] = Date.now();
+  await chrome.storage.local.set({
+    [SESSION_LIBRARY_KEY]: sessions.filter(s => s.id !== id),
+    [SESSION_TOMBSTONES_KEY]: tombstones
+  });
+}
@@ -0,0 +1,126 @@
+// Quick switcher opened by the "open-switcher" keyboard command: tabs of all
+// windows in most-recently-used order, filtered as you type
+const SWITCHER_MAX_RESULTS = 100;
+
+let switcherTabs = [];
+let visibleTabs = [];
+let selectedIndex = 0;
+
+async function loadSwitcherTabs() {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const tabs = windows.flatMap(win => win.tabs);
+  switcherTabs = sortTabsByMru(tabs, await getTabMruOrder());
+}
+
+function createSwitcherItem(tab, index, windowNumbers) {
+  const item = document.createElement('div');
+  item.className = 'switcher-item';
+  item.classList.toggle('selected', index === selectedIndex);
+  
+  const favicon = document.createElement('img');
+  favicon.className = 'switcher-favicon';
+  favicon.src = tab.favIconUrl || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"/>';
+  favicon.addEventListener('error', () => { favicon.style.visibility = 'hidden'; });
+  item.appendChild(favicon);
+  
+  const info = document.createElement('div');
+  info.className = 'switcher-info';
+  const title = document.createElement('div');
+  title.className = 'switcher-title';
+  title.textContent = `${tab.pinned ? '📌 ' : ''}${tab.audible ? '🔊 ' : ''}${tab.title || 'Untitled'}`;
+  const url = document.createElement('div');
+  url.className = 'switcher-url';
+  url.textContent = getTabHostname(tab) || tab.url;
+  info.appendChild(title);
+  info.appendChild(url);
+  item.appendChild(info);
+  
+  if (Object.keys(windowNumbers).length > 1) {
+    const badge = document.createElement('span');
+    badge.className = 'switcher-window';
+    badge.textContent = `W${windowNumbers[tab.windowId]}`;
+    item.appendChild(badge);
+  }
+  
+  item.addEventListener('mousemove', () => {
+    if (selectedIndex !== index) {
+      selectedIndex = index;
+      renderSelection();
+    }
+  });
+  item.addEventListener('click', () => activateTab(tab));
+  return item;
+}
+
+function renderSelection() {
+  document.querySelectorAll('.switcher-item').forEach((item, index) => {
+    item.classList.toggle('selected', index === selectedIndex);
+  });
+  document.querySelectorAll('.switcher-item')[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
+async function renderSwitcher() {
+  const list = document.getElementById('switcherList');
+  const status = document.getElementById('switcherStatus');
+  const text = document.getElementById('switcherQuery').value.trim();
+  // The switcher window itself is focused, so "current" is where the MRU tab is
+  const context = await getTabQueryContext(switcherTabs[0]?.windowId);
+  
+  try {
+    visibleTabs = text
+      ? rankTabsByQuery(switcherTabs, parseTabQuery(text), context).map(result => result.tab)
+      : switcherTabs;
+    status.textContent = '↑↓ to choose · Enter to switch · Esc to close';
+    status.classList.remove('error');
+  } catch (error) {
+    visibleTabs = [];
+    status.textContent = error.message;
+    status.classList.add('error');
+  }
+  
+  // Without a query the current tab comes first, so preselect the one before it
+  selectedIndex = !text && visibleTabs.length > 1 ? 1 : 0;
+  
+  list.innerHTML = '';
+  if (visibleTabs.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'switcher-empty';
+    empty.textContent = 'No tabs found';
+    list.appendChild(empty);
+    return;
+  }
+  visibleTabs.slice(0, SWITCHER_MAX_RESULTS).forEach((tab, index) => {
+    list.appendChild(createSwitcherItem(tab, index, context.windowNumbers));
+  });
+}
+
+async function activateTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  window.close();
+}
+
+document.getElementById('switcherQuery').addEventListener('input', renderSwitcher);
+
+document.addEventListener('keydown', (e) => {
+  const count = Math.min(visibleTabs.length, SWITCHER_MAX_RESULTS);
+  if (e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
+    e.preventDefault();
+    if (count > 0) selectedIndex = (selectedIndex + 1) % count;
+    renderSelection();
+  } else if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+    e.preventDefault();
+    if (count > 0) selectedIndex = (selectedIndex - 1 + count) % count;
+    renderSelection();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (visibleTabs[selectedIndex]) activateTab(visibleTabs[selectedIndex]);
+  } else if (e.key === 'Escape') {
+    window.close();
+  }
+});
+
+// Close when the user clicks back into the browser
+window.addEventListener('blur', () => window.close());
+
+loadSwitcherTabs().then(renderSwitcher);
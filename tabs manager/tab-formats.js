@@ -0,0 +1,500 @@
+// Tab list formats: a registry of importers and exporters with format detection.
+// Every format parses text into session data ({ tabs: [{ url, title, group, color }] })
+// and serializes session data back to text.
+// Uses isEncryptedEnvelope from session-schema.js.
+
+const TAB_FORMATS = [];
+
+// Register a format. Formats are detected in registration order.
+// { id, label, extension, mimeType, detect(text), parse(text), serialize(sessionData, options) }
+// parse and serialize may return a promise.
+function registerTabFormat(format) {
+  TAB_FORMATS.push(format);
+}
+
+function getTabFormat(id) {
+  return TAB_FORMATS.find(format => format.id === id);
+}
+
+// Find the format of a pasted or loaded text, falling back to plain text
+function detectTabFormat(text) {
+  return TAB_FORMATS.find(format => format.detect(text)) || getTabFormat('text');
+}
+
+// Parse text in the given (or detected) format into session data
+async function parseTabList(text, formatId) {
+  const format = formatId ? getTabFormat(formatId) : detectTabFormat(text);
+  if (!format) throw new Error(`Unknown format: ${formatId}`);
+  return { format, sessionData: await format.parse(text) };
+}
+
+function splitLines(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+function isTabUrl(value) {
+  return /^(https?|file):\/\//i.test(value);
+}
+
+function isGroupColor(value) {
+  return TAB_GROUP_COLORS.includes(value);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// ==================== ENCODED V2 (single share string) ====================
+
+// TMv2.<crc32 of the JSON, hex>.<base64url of the deflate-raw compressed JSON>
+const SHARE_STRING_PREFIX = 'TMv2.';
+const SHARE_STRING_PATTERN = /^TMv2\.([0-9a-f]{8})\.([A-Za-z0-9_-]+)$/;
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Encode a whole session (tabs, groups, titles) as one compressed share string
+async function encodeSessionBlob(sessionData) {
+  const json = new TextEncoder().encode(JSON.stringify(sessionData));
+  const compressed = await transformBytes(json, new CompressionStream('deflate-raw'));
+  return `${SHARE_STRING_PREFIX}${crc32(json)}.${bytesToBase64Url(compressed)}`;
+}
+
+async function decodeSessionBlob(text) {
+  const match = SHARE_STRING_PATTERN.exec(text.replace(/\s+/g, ''));
+  if (!match) throw new Error('Invalid share string');
+
+  let json;
+  try {
+    json = await transformBytes(base64UrlToBytes(match[2]), new DecompressionStream('deflate-raw'));
+  } catch (e) {
+    throw new Error('Share string is corrupted (cannot decompress)');
+  }
+  if (crc32(json) !== match[1]) {
+    throw new Error('Share string is corrupted (checksum mismatch)');
+  }
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+registerTabFormat({
+  id: 'encoded-v2',
+  label: 'Share string',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  detect: (text) => text.trim().startsWith(SHARE_STRING_PREFIX),
+  parse: (text) => decodeSessionBlob(text),
+  serialize: (sessionData, { includeGroups = true } = {}) => encodeSessionBlob(includeGroups ? sessionData : {
+    ...sessionData,
+    groups: [],
+    tabs: sessionData.tabs.map(tab => ({ ...tab, group: null, color: null }))
+  })
+});
+
+// ==================== JSON ====================
+
+registerTabFormat({
+  id: 'json',
+  label: 'Session JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  detect: (text) => {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return false;
+    try {
+      JSON.parse(trimmed);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  parse: (text) => {
+    const data = JSON.parse(text);
+    if (isEncryptedEnvelope(data)) {
+      throw new Error('This session is encrypted - import the file to enter its passphrase');
+    }
+    return data;
+  },
+  serialize: (sessionData) => JSON.stringify(sessionData, null, 2)
+});
+
+// ==================== NETSCAPE BOOKMARKS HTML ====================
+
+registerTabFormat({
+  id: 'netscape',
+  label: 'Bookmarks HTML',
+  extension: 'html',
+  mimeType: 'text/html',
+  detect: (text) => /<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(text) ||
+    (/<DL>/i.test(text) && /<A\s[^>]*HREF=/i.test(text)),
+  parse: (text) => {
+    const tabs = [];
+    // Folder titles and colors for each open <DL>, so links know their group
+    const folderStack = [];
+    let pendingFolder = null;
+    const tokenPattern = /<H3([^>]*)>([\s\S]*?)<\/H3>|<DL[^>]*>|<\/DL>|<A\s([^>]*)>([\s\S]*?)<\/A>/gi;
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+      const token = match[0];
+      if (match[2] !== undefined) {
+        const color = /COLOR="([^"]*)"/i.exec(match[1]);
+        pendingFolder = { title: unescapeHtml(match[2].trim()), color: color ? color[1] : null };
+      } else if (/^<DL/i.test(token)) {
+        folderStack.push(pendingFolder);
+        pendingFolder = null;
+      } else if (/^<\/DL/i.test(token)) {
+        folderStack.pop();
+      } else {
+        const href = /HREF="([^"]*)"/i.exec(match[3]);
+        if (!href) continue;
+        const folder = [...folderStack].reverse().find(f => f) || null;
+        tabs.push({
+          url: unescapeHtml(href[1]),
+          title: unescapeHtml(match[4].trim()),
+          group: folder ? folder.title : null,
+          color: folder ? (isGroupColor(folder.color) ? folder.color : 'grey') : null
+        });
+      }
+    }
+
+    return { tabs };
+  },
+  serialize: (sessionData) => {
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      `<TITLE>${escapeHtml(sessionData.session || 'Tabs')}</TITLE>`,
+      `<H1>${escapeHtml(sessionData.session || 'Tabs')}</H1>`,
+      '<DL><p>'
+    ];
+    let currentGroup = null;
+
+    sessionData.tabs.forEach(tab => {
+      const groupKey = (tab.group && tab.color) ? `${tab.group}|${tab.color}` : null;
+      if (groupKey !== currentGroup) {
+        if (currentGroup) lines.push('    </DL><p>');
+        if (groupKey) {
+          lines.push(`    <DT><H3 COLOR="${escapeHtml(tab.color)}">${escapeHtml(tab.group)}</H3>`);
+          lines.push('    <DL><p>');
+        }
+        currentGroup = groupKey;
+      }
+      const indent = currentGroup ? '        ' : '    ';
+      lines.push(`${indent}<DT><A HREF="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</A>`);
+    });
+
+    if (currentGroup) lines.push('    </DL><p>');
+    lines.push('</DL><p>');
+    return lines.join('\n');
+  }
+});
+
+// ==================== MARKDOWN ====================
+
+const MARKDOWN_LINK_PATTERN = /^\s*(?:[-*+]|\d+\.)?\s*\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)/;
+const MARKDOWN_HEADING_PATTERN = /^#{2,6}\s+(.*?)(?:\s+\((\w+)\))?\s*$/;
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\[\]])/g, '\\$1');
+}
+
+registerTabFormat({
+  id: 'markdown',
+  label: 'Markdown',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  detect: (text) => splitLines(text).some(line => {
+    const match = MARKDOWN_LINK_PATTERN.exec(line);
+    return match && isTabUrl(match[2]);
+  }),
+  parse: (text) => {
+    const tabs = [];
+    let group = null;
+
+    splitLines(text).forEach(line => {
+      // "## Group (color)" starts a group, any other heading ends it
+      const heading = MARKDOWN_HEADING_PATTERN.exec(line);
+      if (heading) {
+        group = isGroupColor(heading[2]) ? { title: heading[1], color: heading[2] } : null;
+        return;
+      }
+
+      const link = MARKDOWN_LINK_PATTERN.exec(line);
+      const bare = /^\s*(?:[-*+]|\d+\.)\s+(\S+)\s*$/.exec(line);
+      const url = link ? link[2] : (bare ? bare[1] : null);
+      if (!url || !isTabUrl(url)) return;
+
+      tabs.push({
+        url,
+        title: link ? link[1].replace(/\\(.)/g, '$1') : '',
+        group: group ? group.title : null,
+        color: group ? group.color : null
+      });
+    });
+
+    return { tabs };
+  },
+  serialize: (sessionData) => {
+    const lines = [`# ${sessionData.session || 'Tabs'}`, ''];
+    let currentGroup = null;
+
+    sessionData.tabs.forEach(tab => {
+      const groupKey = (tab.group && tab.color) ? `${tab.group}|${tab.color}` : null;
+      if (groupKey !== currentGroup) {
+        if (lines[lines.length - 1] !== '') lines.push('');
+        lines.push(groupKey ? `## ${tab.group} (${tab.color})` : '## Ungrouped', '');
+        currentGroup = groupKey;
+      }
+      lines.push(`- [${escapeMarkdown(tab.title || tab.url)}](${tab.url.replace(/\)/g, '%29').replace(/ /g, '%20')})`);
+    });
+
+    return lines.join('\n');
+  }
+});
+
+// ==================== CSV ====================
+
+const CSV_COLUMNS = ['url', 'title', 'group', 'color'];
+
+// Split CSV text into rows of fields (RFC 4180 quoting)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows.filter(r => r.some(value => value.trim().length > 0));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+registerTabFormat({
+  id: 'csv',
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  // URLs may contain commas, so only a header row identifies CSV reliably
+  detect: (text) => /^"?url"?\s*,/i.test(splitLines(text)[0] || ''),
+  parse: (text) => {
+    const rows = parseCsvRows(text);
+    let columns = CSV_COLUMNS;
+
+    // Use the header row to find columns when there is one
+    if (rows.length > 0 && rows[0].some(value => value.trim().toLowerCase() === 'url')) {
+      columns = rows.shift().map(value => value.trim().toLowerCase());
+    }
+
+    const tabs = rows.map(row => {
+      const get = (name) => {
+        const index = columns.indexOf(name);
+        const value = index !== -1 ? (row[index] || '').trim() : '';
+        return value || null;
+      };
+      return {
+        url: get('url') || '',
+        title: get('title') || '',
+        group: get('group'),
+        color: get('color')
+      };
+    });
+
+    return { tabs };
+  },
+  serialize: (sessionData) => [
+    CSV_COLUMNS.join(','),
+    ...sessionData.tabs.map(tab => CSV_COLUMNS.map(column => csvField(tab[column])).join(','))
+  ].join('\n')
+});
+
+// ==================== ENCODED (one base64 line per tab) ====================
+
+// Helper functions for encoding/decoding tab data
+function encodeTabData(tab) {
+  // Ultra-compact array format: [url, groupName, groupColor]
+  // Omit group data if not in a group to save space
+  const data = (tab.group && tab.color) ? [tab.url, tab.group, tab.color] : [tab.url];
+  const json = JSON.stringify(data);
+  // Use btoa directly without encodeURIComponent for shorter output
+  return btoa(unescape(encodeURIComponent(json)));
+}
+
+function decodeTabData(encoded) {
+  try {
+    const json = decodeURIComponent(escape(atob(encoded)));
+    const data = JSON.parse(json);
+    // Only [url, groupName?, groupColor?] arrays are encoded tabs
+    if (!Array.isArray(data) || typeof data[0] !== 'string') return null;
+    return {
+      url: data[0],
+      title: '',
+      group: data[1] || null,
+      color: data[2] || null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Check if line is encoded format
+function isEncodedFormat(line) {
+  try {
+    atob(line);
+    return line.length > 20 && !line.includes(' ') && /^[A-Za-z0-9+/=]+$/.test(line);
+  } catch (e) {
+    return false;
+  }
+}
+
+registerTabFormat({
+  id: 'encoded',
+  label: 'Encoded',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  detect: (text) => {
+    const lines = splitLines(text);
+    return lines.length > 0 && lines.every(line => isEncodedFormat(line) && decodeTabData(line));
+  },
+  parse: (text) => ({
+    tabs: splitLines(text).map(line => decodeTabData(line) || { url: line, title: '' })
+  }),
+  serialize: (sessionData, { includeGroups = true } = {}) => sessionData.tabs
+    .map(tab => encodeTabData(includeGroups ? tab : { url: tab.url }))
+    .join('\n')
+});
+
+// ==================== PLAIN TEXT (URL | Group | Color) ====================
+
+registerTabFormat({
+  id: 'text',
+  label: 'Plain text',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  detect: (text) => splitLines(text).some(line => {
+    const parts = line.split('|').map(p => p.trim());
+    return parts.length === 3 && isTabUrl(parts[0]) && isGroupColor(parts[2]);
+  }),
+  parse: (text) => ({
+    tabs: splitLines(text).map(line => {
+      // Encoded lines may be mixed in with plain ones
+      if (isEncodedFormat(line)) {
+        const decoded = decodeTabData(line);
+        if (decoded) return decoded;
+      }
+
+      const parts = line.split('|').map(p => p.trim());
+      return {
+        url: parts[0],
+        title: '',
+        group: parts[1] || null,
+        color: parts[2] || null
+      };
+    })
+  }),
+  serialize: (sessionData, { includeGroups = true } = {}) => sessionData.tabs
+    .map(tab => (includeGroups && tab.group && tab.color) ? `${tab.url} | ${tab.group} | ${tab.color}` : tab.url)
+    .join('\n')
+});
+
+// ==================== ONETAB (url | title) ====================
+
+registerTabFormat({
+  id: 'onetab',
+  label: 'OneTab',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  detect: (text) => splitLines(text).some(line => / \| /.test(line) && isTabUrl(line.split(' | ')[0].trim())),
+  parse: (text) => ({
+    tabs: splitLines(text).map(line => {
+      const separator = line.indexOf(' | ');
+      return separator === -1
+        ? { url: line, title: '' }
+        : { url: line.slice(0, separator).trim(), title: line.slice(separator + 3).trim() };
+    })
+  }),
+  serialize: (sessionData) => sessionData.tabs
+    .map(tab => `${tab.url} | ${tab.title || tab.url}`)
+    .join('\n')
+});
@@ -0,0 +1,245 @@
+// Tab search query language, shared by the popup search, the quick switcher
+// and the omnibox.
+//
+//   domain:github.com   hostname contains the text
+//   group:work          tab group title contains the text
+//   window:2            second window (in window order), or window:current
+//   is:pinned  is:audible  is:muted  is:discarded
+//   older:3d            not used for 3 days (units: m, h, d, w)
+//   /regex/             title or URL matches (case-insensitive)
+//   "exact words"       title or URL contains the phrase
+//   -term               negates any of the above
+// Other words are fuzzy-matched against the title and URL, and against page
+// text when the content index is on (content-index.js); results are ranked
+// by match quality and how recently the tab was used.
+
+const TAB_QUERY_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const TAB_QUERY_OPERATORS = ['domain', 'group', 'window', 'is', 'older'];
+const TAB_QUERY_FLAGS = ['pinned', 'audible', 'muted', 'discarded'];
+
+// Fuzzy matches below this score are treated as no match
+const FUZZY_MIN_SCORE = 0.1;
+// Share of the ranking that comes from recency instead of match quality
+const RECENCY_WEIGHT = 0.2;
+
+// Split on spaces, keeping "quoted parts" (also in operator values) together
+function tokenizeTabQuery(text) {
+  return text.match(/-?(?:[a-z]+:)?"[^"]*"?|\S+/gi) || [];
+}
+
+function unquoteQueryValue(text) {
+  return text.replace(/^"|"$/g, '');
+}
+
+function parseTabAge(value) {
+  const match = value.match(/^(\d+(?:\.\d+)?)([mhdw])$/);
+  if (!match) throw new Error(`Invalid age "${value}" - use e.g. 30m, 12h, 3d or 2w`);
+  return parseFloat(match[1]) * TAB_QUERY_UNITS[match[2]];
+}
+
+// Parse query text into { filters: [{ type, value, negate }], terms: [text] }.
+// Throws a readable error for an invalid regex, age or is: flag.
+function parseTabQuery(text) {
+  const filters = [];
+  const terms = [];
+
+  tokenizeTabQuery(text.trim()).forEach(token => {
+    const negate = token.length > 1 && token.startsWith('-');
+    const body = negate ? token.slice(1) : token;
+
+    const regexMatch = body.match(/^\/(.+)\/$/);
+    if (regexMatch) {
+      try {
+        filters.push({ type: 'regex', value: new RegExp(regexMatch[1], 'i'), negate });
+      } catch (e) {
+        throw new Error(`Invalid regex ${body}`);
+      }
+      return;
+    }
+
+    const operatorMatch = body.match(/^([a-z]+):(.*)$/i);
+    const operator = operatorMatch && operatorMatch[1].toLowerCase();
+    const value = operatorMatch && unquoteQueryValue(operatorMatch[2]).toLowerCase();
+    // An operator still being typed matches everything for now
+    if (operatorMatch && !value && TAB_QUERY_OPERATORS.includes(operator)) return;
+
+    if (operatorMatch && value && ['domain', 'group', 'window'].includes(operator)) {
+      filters.push({ type: operator, value, negate });
+    } else if (operator === 'is' && value) {
+      if (!TAB_QUERY_FLAGS.includes(value)) {
+        throw new Error(`Unknown filter is:${value} - use ${TAB_QUERY_FLAGS.map(flag => `is:${flag}`).join(', ')}`);
+      }
+      filters.push({ type: 'is', value, negate });
+    } else if (operator === 'older' && value) {
+      filters.push({ type: 'older', value: parseTabAge(value), negate });
+    } else if (body.startsWith('"')) {
+      const phrase = unquoteQueryValue(body).toLowerCase();
+      if (phrase) filters.push({ type: 'phrase', value: phrase, negate });
+    } else if (negate) {
+      // Negated words exclude exact matches only; fuzzy exclusion would hide too much
+      filters.push({ type: 'phrase', value: body.toLowerCase(), negate });
+    } else {
+      terms.push(body.toLowerCase());
+    }
+  });
+
+  return { filters, terms };
+}
+
+function getTabHostname(tab) {
+  try {
+    return new URL(tab.url || tab.pendingUrl).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+}
+
+// Score how well `needle` (lowercase) matches `haystack`, from 0 (no match)
+// to 1. Substrings score highest, then characters in order, rewarding runs
+// of consecutive characters and word starts and penalising spread.
+function fuzzyScore(needle, haystack) {
+  const text = (haystack || '').toLowerCase();
+  const index = text.indexOf(needle);
+  if (index === 0) return 1;
+  if (index > 0) return isWordStart(text, index) ? 0.9 : 0.75;
+
+  let points = 0;
+  let run = 0;
+  let first = -1;
+  let position = -1;
+  for (const char of needle) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (first === -1) first = next;
+    run = next === position + 1 ? run + 1 : 0;
+    points += 1 + Math.min(run, 1) + (isWordStart(text, next) ? 1 : 0);
+    position = next;
+  }
+
+  const span = position - first + 1;
+  const score = 0.6 * (points / (needle.length * 3)) * Math.max(0.5, needle.length / span);
+  return score >= FUZZY_MIN_SCORE ? score : 0;
+}
+
+function matchesTabFilter(tab, filter, context) {
+  const title = (tab.title || '').toLowerCase();
+  const url = (tab.url || tab.pendingUrl || '').toLowerCase();
+
+  switch (filter.type) {
+    case 'regex':
+      return filter.value.test(tab.title || '') || filter.value.test(tab.url || '');
+    case 'phrase':
+      return title.includes(filter.value) || url.includes(filter.value);
+    case 'domain':
+      return getTabHostname(tab).includes(filter.value);
+    case 'group': {
+      const group = context.groups[tab.groupId];
+      return Boolean(group) && group.title.toLowerCase().includes(filter.value);
+    }
+    case 'window':
+      return filter.value === 'current'
+        ? tab.windowId === context.currentWindowId
+        : context.windowNumbers[tab.windowId] === parseInt(filter.value);
+    case 'is':
+      if (filter.value === 'muted') return Boolean(tab.mutedInfo?.muted);
+      return Boolean(tab[filter.value]);
+    case 'older':
+      return (tab.lastAccessed || 0) < context.now - filter.value;
+    default:
+      return false;
+  }
+}
+
+// 1 for a tab used just now, 0.5 after a day, approaching 0 after that
+function recencyScore(tab, now) {
+  const ageHours = Math.max(0, now - (tab.lastAccessed || 0)) / (60 * 60 * 1000);
+  return 1 / (1 + ageHours / 24);
+}
+
+// Filter and rank tabs; returns [{ tab, score, contentTerms }] with the best
+// match first. `contentTerms` lists the words found only in the page text.
+function rankTabsByQuery(tabs, query, context) {
+  const results = [];
+  const contentIndex = context.contentIndex;
+  const contentMatches = contentIndex ? query.terms.map(term => findContentMatches(contentIndex, term)) : [];
+
+  tabs.forEach(tab => {
+    if (!query.filters.every(filter => matchesTabFilter(tab, filter, context) !== filter.negate)) return;
+
+    // Text indexed before the tab navigated elsewhere does not count
+    const indexed = contentIndex && contentIndex.entries[tab.id]?.url === tab.url;
+    const contentTerms = [];
+    let quality = 1;
+    if (query.terms.length > 0) {
+      let total = 0;
+      for (const [i, term] of query.terms.entries()) {
+        const textScore = Math.max(fuzzyScore(term, tab.title), 0.9 * fuzzyScore(term, tab.url));
+        const contentScore = indexed ? CONTENT_MATCH_WEIGHT * (contentMatches[i].get(tab.id) || 0) : 0;
+        if (textScore === 0 && contentScore === 0) return;
+        if (contentScore > textScore) contentTerms.push(term);
+        total += Math.max(textScore, contentScore);
+      }
+      quality = total / query.terms.length;
+    }
+
+    const score = (1 - RECENCY_WEIGHT) * quality + RECENCY_WEIGHT * recencyScore(tab, context.now);
+    results.push({ tab, score, contentTerms });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+// Groups, window numbers, the current window and the content index (when
+// enabled) for matching.
+// Without `currentWindowId` the focused window counts as current.
+async function getTabQueryContext(currentWindowId) {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const windowNumbers = {};
+  windows.forEach((win, index) => {
+    windowNumbers[win.id] = index + 1;
+  });
+  const focused = windows.find(win => win.focused) || windows[0];
+
+  return {
+    groups: await getTabGroupsById(),
+    windowNumbers,
+    currentWindowId: currentWindowId || (focused ? focused.id : chrome.windows.WINDOW_ID_NONE),
+    contentIndex: await isContentIndexEnabled() ? await getContentSearchIndex() : null,
+    now: Date.now()
+  };
+}
+
+// Run query text against all open tabs
+async function queryTabs(text, currentWindowId) {
+  const query = parseTabQuery(text);
+  const tabs = await chrome.tabs.query({});
+  return rankTabsByQuery(tabs, query, await getTabQueryContext(currentWindowId));
+}
+
+// ==================== TAB HISTORY ====================
+
+// Most recently used tab IDs, newest first; kept by background.js in
+// chrome.storage.session from chrome.tabs.onActivated
+const TAB_MRU_KEY = 'tabMruOrder';
+const TAB_MRU_LIMIT = 500;
+
+async function getTabMruOrder() {
+  const data = await chrome.storage.session.get(TAB_MRU_KEY);
+  return data[TAB_MRU_KEY] || [];
+}
+
+// Most recently used first; tabs never activated keep their relative order
+// after them, newest lastAccessed first
+function sortTabsByMru(tabs, mruOrder) {
+  const rank = new Map(mruOrder.map((tabId, index) => [tabId, index]));
+  return [...tabs].sort((a, b) => {
+    const rankA = rank.has(a.id) ? rank.get(a.id) : Infinity;
+    const rankB = rank.has(b.id) ? rank.get(b.id) : Infinity;
+    if (rankA !== rankB) return rankA - rankB;
+    return (b.lastAccessed || 0) - (a.lastAccessed || 0);
+  });
+}
@@ -0,0 +1,45 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadUndoJournal(stored) {
+  const context = {
+    chrome: {
+      storage: {
+        local: { get: async (key) => (key in stored ? { [key]: stored[key] } : {}) }
+      }
+    }
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'undo-journal.js'), 'utf8'), context);
+  return context;
+}
+
+test('legacy single-window steps are migrated, not dropped', async () => {
+  const legacyTabs = [
+    { id: 1, url: 'https://a.com/', index: 0, pinned: false, groupId: -1, group: null, closed: false },
+    { id: 2, url: 'https://b.com/', index: 1, pinned: false, groupId: 7, group: { title: 'Work', color: 'blue' }, closed: true }
+  ];
+  const current = { label: 'Sort by domain', date: 2, windows: [{ windowId: 5, tabs: [] }] };
+  const legacy = { label: 'Close duplicates', date: 1, windowId: 3, tabs: legacyTabs };
+  const { getUndoJournal } = loadUndoJournal({ undoJournal: [current, legacy] });
+
+  const journal = await getUndoJournal();
+
+  assert.strictEqual(journal.length, 2);
+  assert.deepStrictEqual(journal[0], current);
+  assert.strictEqual(journal[1].label, 'Close duplicates');
+  assert.strictEqual(journal[1].date, 1);
+  assert.strictEqual(journal[1].windows.length, 1);
+  assert.strictEqual(journal[1].windows[0].windowId, 3);
+  assert.deepStrictEqual(journal[1].windows[0].tabs, legacyTabs);
+  assert.strictEqual(journal[1].windowId, undefined);
+});
+
+test('an empty journal reads as no steps', async () => {
+  const { getUndoJournal } = loadUndoJournal({});
+  assert.strictEqual((await getUndoJournal()).length, 0);
+});
@@ -0,0 +1,20 @@
+// Undo journal storage for bulk tab operations (recorded and undone in popup.js).
+//
+// Each step: { label, date, windows: [{ windowId, tabs: [{ id, url, index, pinned, groupId, group, closed }] }] }
+// Steps written before multi-window undo kept a single window at the top
+// level ({ label, date, windowId, tabs }) and are migrated when read.
+
+// Steps are kept in storage so they survive closing the popup
+const UNDO_JOURNAL_KEY = 'undoJournal';
+const UNDO_JOURNAL_LIMIT = 10;
+
+function migrateUndoStep(step) {
+  if (Array.isArray(step.windows)) return step;
+  const { windowId, tabs, groups, ...rest } = step;
+  return { ...rest, windows: [{ windowId, tabs: tabs || [], groups }] };
+}
+
+async function getUndoJournal() {
+  const data = await chrome.storage.local.get(UNDO_JOURNAL_KEY);
+  return (data[UNDO_JOURNAL_KEY] || []).map(migrateUndoStep);
+}
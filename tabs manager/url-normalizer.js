@@ -0,0 +1,150 @@
+// URL normalization for duplicate detection, shared by the popup and background
+
+const URL_NORMALIZE_KEY = 'urlNormalizeRules';
+
+const URL_NORMALIZE_DEFAULTS = {
+  stripTracking: true,
+  ignoreFragment: true,
+  ignoreTrailingSlash: true,
+  ignoreScheme: false,
+  ignoreWww: false,
+  // Applied to the raw URL before the options above: [{ pattern, replacement }]
+  rewrites: []
+};
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url', 'spm'
+];
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.includes(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+async function getUrlNormalizeRules() {
+  const data = await chrome.storage.local.get(URL_NORMALIZE_KEY);
+  return { ...URL_NORMALIZE_DEFAULTS, ...data[URL_NORMALIZE_KEY] };
+}
+
+async function setUrlNormalizeRules(rules) {
+  await chrome.storage.local.set({ [URL_NORMALIZE_KEY]: rules });
+}
+
+// Parse "pattern => replacement" lines into rewrite rules.
+// Throws on an invalid regular expression so the user can fix it.
+function parseUrlRewrites(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map((line, i) => {
+      const separator = line.indexOf('=>');
+      const pattern = (separator === -1 ? line : line.slice(0, separator)).trim();
+      const replacement = separator === -1 ? '' : line.slice(separator + 2).trim();
+      try {
+        new RegExp(pattern);
+      } catch (e) {
+        throw new Error(`Rewrite ${i + 1}: invalid pattern ${pattern}`);
+      }
+      return { pattern, replacement };
+    });
+}
+
+function formatUrlRewrites(rewrites) {
+  return rewrites.map(({ pattern, replacement }) => `${pattern} => ${replacement}`).join('\n');
+}
+
+// Reduce a URL to the key used to compare tabs for duplicates
+function normalizeUrl(url, rules = URL_NORMALIZE_DEFAULTS) {
+  let result = url || '';
+  (rules.rewrites || []).forEach(({ pattern, replacement }) => {
+    try {
+      result = result.replace(new RegExp(pattern), replacement);
+    } catch (e) {
+      console.warn('Skipping invalid URL rewrite:', pattern);
+    }
+  });
+
+  let parsed;
+  try {
+    parsed = new URL(result);
+  } catch (e) {
+    return result;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return result;
+
+  if (rules.stripTracking) {
+    [...parsed.searchParams.keys()].forEach(name => {
+      if (isTrackingParam(name)) parsed.searchParams.delete(name);
+    });
+  }
+  if (rules.ignoreFragment) parsed.hash = '';
+  if (rules.ignoreWww) parsed.hostname = parsed.hostname.replace(/^www\./, '');
+  if (rules.ignoreTrailingSlash && parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  let normalized = parsed.href;
+  if (rules.ignoreTrailingSlash && parsed.pathname === '/' && !parsed.search && !parsed.hash) {
+    normalized = normalized.replace(/\/$/, '');
+  }
+  return rules.ignoreScheme ? normalized.replace(/^https?:/, '') : normalized;
+}
+
+// Group tabs by normalized URL. For each set of duplicates one tab survives:
+// the active tab, else a pinned one, else the first in window and tab order.
+// Returns [{ key, keep, close: [tabs] }] for sets with more than one tab.
+function findDuplicateTabs(tabs, rules) {
+  const byKey = new Map();
+  [...tabs]
+    .sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index))
+    .forEach(tab => {
+      const key = normalizeUrl(tab.url, rules);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(tab);
+    });
+
+  const duplicates = [];
+  byKey.forEach((group, key) => {
+    if (group.length < 2) return;
+    const keep = group.find(tab => tab.active) || group.find(tab => tab.pinned) || group[0];
+    duplicates.push({ key, keep, close: group.filter(tab => tab !== keep) });
+  });
+  return duplicates;
+}
+
+// ==================== DUPLICATE GUARD SETTINGS ====================
+
+const DUPLICATE_GUARD_KEY = 'duplicateGuard';
+
+const DUPLICATE_GUARD_DEFAULTS = {
+  enabled: false,
+  // 'switch' closes the new tab and focuses the open one, 'notify' asks first
+  action: 'switch',
+  // Domains (and their subdomains) that may be open more than once
+  allowlist: []
+};
+
+async function getDuplicateGuardSettings() {
+  const data = await chrome.storage.local.get(DUPLICATE_GUARD_KEY);
+  return { ...DUPLICATE_GUARD_DEFAULTS, ...data[DUPLICATE_GUARD_KEY] };
+}
+
+async function setDuplicateGuardSettings(settings) {
+  await chrome.storage.local.set({ [DUPLICATE_GUARD_KEY]: settings });
+}
+
+function isAllowlistedUrl(url, allowlist) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+  return allowlist.some(domain => {
+    const entry = domain.trim().toLowerCase();
+    return entry && (hostname === entry || hostname.endsWith(`.${entry}`));
+  });
+}